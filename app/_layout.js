@@ -20,6 +20,8 @@ export default function RootLayout() {
         <Stack.Screen name="game" />
         <Stack.Screen name="shop" />
         <Stack.Screen name="settings" />
+        <Stack.Screen name="editor" />
+        <Stack.Screen name="replay" />
         <Stack.Screen name="+not-found" />
       </Stack>
       <StatusBar style="auto" />
@@ -0,0 +1,596 @@
+/**
+ * Editor Screen - Level Editor
+ * Purpose: Paint fixed boards, check them with the solver, play-test them and export / import them as level pack JSON
+ */
+
+import React, { useEffect, useState } from 'react';
+import {
+  View,
+  Text,
+  StyleSheet,
+  TouchableOpacity,
+  SafeAreaView,
+  ScrollView,
+  Switch,
+  Modal,
+  TextInput,
+  Alert,
+  Share,
+  useWindowDimensions
+} from 'react-native';
+import { router } from 'expo-router';
+import { MaterialIcons } from '@expo/vector-icons';
+import useGameStore, { GAME_CONSTANTS, GameUtils } from '../store/gameStore';
+import { HOLE, WALL, kindOf } from '../engine/tiles';
+import { OBSTACLE_TYPES } from '../engine/obstacles';
+import { isWildcard } from '../engine/specials';
+import { DEFAULT_RULES } from '../engine/pathfinder';
+import { getLayoutName } from '../engine/gravity';
+import { solveBoard } from '../engine/solver';
+import { parseBoard } from '../engine/levelPack';
+
+// 画笔中的非瓦片工具：橡皮、形状外的格子和障碍物
+const TOOLS = [
+  { brush: '', icon: '⌫', label: 'Erase' },
+  { brush: HOLE, icon: '◌', label: 'Hole' },
+  { brush: WALL, icon: '▦', label: 'Wall' },
+  ...Object.keys(OBSTACLE_TYPES).map(type => ({ brush: type, icon: GAME_CONSTANTS.OBSTACLE_EMOJI[type], label: type }))
+];
+
+// 编辑器自己管理的字段，导入时其余字段原样保留
+const EDITOR_FIELDS = ['level', 'layout', 'timeLimit', 'hearts', 'board'];
+
+const createEmptyBoard = (rows, cols) => Array.from({ length: rows }, () => Array(cols).fill(''));
+
+// 改变行列数时保留重叠部分
+const resizeBoard = (board, rows, cols) => Array.from({ length: rows }, (_, r) => (
+  Array.from({ length: cols }, (_, c) => board[r]?.[c] ?? '')
+));
+
+const clamp = (value, min, max) => Math.min(max, Math.max(min, value));
+
+// 瓦片总数和数量为奇数的种类（叠放的瓦片也计入，万能牌自成一种）
+const summarizeBoard = (board) => {
+  const counts = new Map();
+  let tiles = 0;
+  parseBoard(board).forEach(row => row.forEach(cell => {
+    for (let tile = cell; kindOf(tile); tile = tile.flags?.below) {
+      tiles++;
+      counts.set(kindOf(tile), (counts.get(kindOf(tile)) || 0) + 1);
+    }
+  }));
+  const unpaired = [...counts].filter(([, count]) => count % 2 === 1).map(([kind]) => kind);
+  return { tiles, unpaired };
+};
+
+export default function Editor() {
+  const { startPlayTest, endPlayTest } = useGameStore();
+  const { width } = useWindowDimensions();
+
+  const [board, setBoard] = useState(() => createEmptyBoard(4, 5));
+  const [brush, setBrush] = useState(GAME_CONSTANTS.TILE_KINDS[0]);
+  const [layout, setLayout] = useState('Static');
+  const [maxTurns, setMaxTurns] = useState(DEFAULT_RULES.maxTurns);
+  const [allowOuterRing, setAllowOuterRing] = useState(DEFAULT_RULES.allowOuterRing);
+  const [timeLimit, setTimeLimit] = useState(60);
+  const [hearts, setHearts] = useState(5);
+  const [extraFields, setExtraFields] = useState({});
+  const [checkResult, setCheckResult] = useState(null);
+  const [importText, setImportText] = useState(null); // 非 null 时显示导入窗口
+
+  const rows = board.length;
+  const cols = board[0].length;
+  const cellSize = Math.min(44, Math.floor((width - 40) / cols));
+  const { tiles, unpaired } = summarizeBoard(board);
+
+  const definition = {
+    ...extraFields,
+    layout,
+    timeLimit,
+    hearts,
+    rules: { ...extraFields.rules, maxTurns, allowOuterRing },
+    board
+  };
+
+  // 离开编辑器时结束试玩，回到玩家原来的关卡
+  useEffect(() => () => endPlayTest(), []);
+
+  // 棋盘或规则改动后，之前的检查结果作废
+  useEffect(() => {
+    setCheckResult(null);
+  }, [board, layout, maxTurns, allowOuterRing]);
+
+  const handleBack = () => {
+    router.back();
+  };
+
+  const handleResize = (newRows, newCols) => {
+    const { EDITOR_MIN_SIZE, EDITOR_MAX_ROWS, EDITOR_MAX_COLS } = GAME_CONSTANTS;
+    setBoard(resizeBoard(board, clamp(newRows, EDITOR_MIN_SIZE, EDITOR_MAX_ROWS), clamp(newCols, EDITOR_MIN_SIZE, EDITOR_MAX_COLS)));
+  };
+
+  const handlePaint = (row, col) => {
+    setBoard(board.map((cells, r) => (r === row ? cells.map((cell, c) => (c === col ? brush : cell)) : cells)));
+  };
+
+  // 校验定义后在节点预算内求解：'solved' | 'lost' | 'unknown'
+  const handleCheck = () => {
+    const errors = GameUtils.validateLevelDefinition(definition);
+    if (errors.length > 0) {
+      setCheckResult({ errors });
+      return;
+    }
+    const { status, moves } = solveBoard(parseBoard(board), {
+      layoutType: layout,
+      rules: { ...DEFAULT_RULES, ...definition.rules },
+      maxNodes: GAME_CONSTANTS.EDITOR_SOLVER_NODES
+    });
+    setCheckResult({ errors: [], status, moves: moves.length });
+  };
+
+  const handlePlayTest = () => {
+    const errors = startPlayTest(definition);
+    if (errors.length > 0) {
+      setCheckResult({ errors });
+      return;
+    }
+    router.push('/game');
+  };
+
+  // 导出为关卡包条目（加上 level 即可放进 levels/*.json）
+  const handleExport = async () => {
+    try {
+      await Share.share({ message: JSON.stringify(definition) });
+    } catch (error) {
+      console.warn('Failed to export level:', error);
+    }
+  };
+
+  // 导入单关定义或关卡包（取第一关）；只能编辑固定棋盘
+  const handleImport = () => {
+    let parsed;
+    try {
+      parsed = JSON.parse(importText);
+    } catch {
+      Alert.alert('Import Failed', 'The text is not valid JSON.');
+      return;
+    }
+    const entry = Array.isArray(parsed?.levels) ? parsed.levels[0] : parsed;
+    const fields = entry && typeof entry === 'object' ? entry : {};
+    const errors = fields.board ? GameUtils.validateLevelDefinition(fields) : ['only levels with a fixed board can be edited'];
+    if (errors.length > 0) {
+      Alert.alert('Import Failed', errors.join('\n'));
+      return;
+    }
+
+    setBoard(fields.board);
+    setLayout(fields.layout ?? 'Static');
+    setMaxTurns(fields.rules?.maxTurns ?? DEFAULT_RULES.maxTurns);
+    setAllowOuterRing(fields.rules?.allowOuterRing ?? DEFAULT_RULES.allowOuterRing);
+    if (fields.timeLimit) setTimeLimit(fields.timeLimit);
+    if (fields.hearts) setHearts(fields.hearts);
+    setExtraFields(Object.fromEntries(Object.entries(fields).filter(([field]) => !EDITOR_FIELDS.includes(field))));
+    setImportText(null);
+  };
+
+  const renderStepper = (label, value, onChange, step = 1) => (
+    <View style={styles.stepper}>
+      <Text style={styles.stepperLabel}>{label}</Text>
+      <TouchableOpacity style={styles.stepperButton} onPress={() => onChange(value - step)}>
+        <MaterialIcons name="remove" size={18} color="#2E7D32" />
+      </TouchableOpacity>
+      <Text style={styles.stepperValue}>{value}</Text>
+      <TouchableOpacity style={styles.stepperButton} onPress={() => onChange(value + step)}>
+        <MaterialIcons name="add" size={18} color="#2E7D32" />
+      </TouchableOpacity>
+    </View>
+  );
+
+  const renderCell = (cell, row, col) => {
+    let content = null;
+    let badge = null;
+    if (OBSTACLE_TYPES[cell]) {
+      content = GAME_CONSTANTS.OBSTACLE_EMOJI[cell];
+    } else if (cell && typeof cell === 'object') {
+      // 导入的特殊或叠放瓦片：原样保留，画笔覆盖后变为普通格子
+      content = isWildcard(cell) ? GAME_CONSTANTS.WILDCARD_EMOJI : cell.kind;
+      badge = '★';
+    } else if (cell !== HOLE && cell !== WALL) {
+      content = cell;
+    }
+
+    return (
+      <TouchableOpacity
+        key={col}
+        style={[
+          styles.cell,
+          { width: cellSize, height: cellSize },
+          cell === HOLE && styles.holeCell,
+          cell === WALL && styles.wallCell
+        ]}
+        onPress={() => handlePaint(row, col)}
+      >
+        {content ? <Text style={{ fontSize: cellSize * 0.6 }}>{content}</Text> : null}
+        {badge && <Text style={styles.cellBadge}>{badge}</Text>}
+      </TouchableOpacity>
+    );
+  };
+
+  const renderCheckResult = () => {
+    if (!checkResult) return null;
+    if (checkResult.errors.length > 0) {
+      return checkResult.errors.map(error => (
+        <Text key={error} style={styles.errorText}>• {error}</Text>
+      ));
+    }
+    const messages = {
+      solved: `✅ Clearable in ${checkResult.moves} moves`,
+      lost: '❌ This board cannot be fully cleared',
+      unknown: `⚠️ Not proven within ${GAME_CONSTANTS.EDITOR_SOLVER_NODES} positions`
+    };
+    return <Text style={styles.resultText}>{messages[checkResult.status]}</Text>;
+  };
+
+  return (
+    <SafeAreaView style={styles.container}>
+      <View style={styles.contentWrapper}>
+      {/* Header */}
+      <View style={styles.header}>
+        <TouchableOpacity style={styles.backButton} onPress={handleBack}>
+          <MaterialIcons name="arrow-back" size={24} color="#666" />
+        </TouchableOpacity>
+
+        <Text style={styles.title}>Level Editor</Text>
+
+        <TouchableOpacity style={styles.backButton} onPress={() => setImportText('')}>
+          <MaterialIcons name="file-download" size={24} color="#666" />
+        </TouchableOpacity>
+      </View>
+
+      <ScrollView
+        style={styles.scrollView}
+        contentContainerStyle={styles.scrollContent}
+        showsVerticalScrollIndicator={false}
+      >
+        {/* Size */}
+        <View style={styles.row}>
+          {renderStepper('Rows', rows, (value) => handleResize(value, cols))}
+          {renderStepper('Cols', cols, (value) => handleResize(rows, value))}
+        </View>
+
+        {/* Palette */}
+        <ScrollView horizontal showsHorizontalScrollIndicator={false} contentContainerStyle={styles.palette}>
+          {[...GAME_CONSTANTS.TILE_KINDS.map(kind => ({ brush: kind, icon: kind, label: null })), ...TOOLS].map(tool => (
+            <TouchableOpacity
+              key={tool.label || tool.brush}
+              style={[styles.paletteItem, brush === tool.brush && styles.paletteItemActive]}
+              onPress={() => setBrush(tool.brush)}
+            >
+              <Text style={styles.paletteIcon}>{tool.icon}</Text>
+              {tool.label && <Text style={styles.paletteLabel}>{tool.label}</Text>}
+            </TouchableOpacity>
+          ))}
+        </ScrollView>
+
+        {/* Board */}
+        <View style={styles.board}>
+          {board.map((cells, row) => (
+            <View key={row} style={styles.boardRow}>
+              {cells.map((cell, col) => renderCell(cell, row, col))}
+            </View>
+          ))}
+        </View>
+        <Text style={styles.summaryText}>
+          {tiles} tiles{unpaired.length > 0 ? ` • Unpaired: ${unpaired.join(' ')}` : ''}
+        </Text>
+
+        {/* Layout */}
+        <Text style={styles.sectionTitle}>Gravity: {getLayoutName(layout)}</Text>
+        <ScrollView horizontal showsHorizontalScrollIndicator={false} contentContainerStyle={styles.palette}>
+          {GAME_CONSTANTS.LAYOUTS.map(name => (
+            <TouchableOpacity
+              key={name}
+              style={[styles.layoutChip, getLayoutName(layout) === name && styles.paletteItemActive]}
+              onPress={() => setLayout(name)}
+            >
+              <Text style={styles.layoutChipText}>{name}</Text>
+            </TouchableOpacity>
+          ))}
+        </ScrollView>
+
+        {/* Rules */}
+        <Text style={styles.sectionTitle}>Rules</Text>
+        <View style={styles.row}>
+          {renderStepper('Turns', maxTurns, (value) => setMaxTurns(clamp(value, 0, 3)))}
+          <View style={styles.stepper}>
+            <Text style={styles.stepperLabel}>Edge</Text>
+            <Switch
+              value={allowOuterRing}
+              onValueChange={setAllowOuterRing}
+              trackColor={{ false: '#E0E0E0', true: '#4CAF50' }}
+              thumbColor="#FFF"
+            />
+          </View>
+        </View>
+        <View style={styles.row}>
+          {renderStepper('Time', timeLimit, (value) => setTimeLimit(Math.max(10, value)), 10)}
+          {renderStepper('Hearts', hearts, (value) => setHearts(clamp(value, 1, 10)))}
+        </View>
+
+        {/* Check result */}
+        <View style={styles.resultBox}>{renderCheckResult()}</View>
+
+        {/* Actions */}
+        <View style={styles.actions}>
+          <TouchableOpacity style={styles.actionButton} onPress={handleCheck}>
+            <MaterialIcons name="fact-check" size={20} color="white" />
+            <Text style={styles.actionButtonText}>Check</Text>
+          </TouchableOpacity>
+          <TouchableOpacity style={[styles.actionButton, styles.playButton]} onPress={handlePlayTest}>
+            <MaterialIcons name="play-arrow" size={20} color="white" />
+            <Text style={styles.actionButtonText}>Play Test</Text>
+          </TouchableOpacity>
+          <TouchableOpacity style={[styles.actionButton, styles.exportButton]} onPress={handleExport}>
+            <MaterialIcons name="share" size={20} color="white" />
+            <Text style={styles.actionButtonText}>Export</Text>
+          </TouchableOpacity>
+        </View>
+      </ScrollView>
+      </View>
+
+      {/* Import */}
+      <Modal visible={importText !== null} transparent animationType="fade" onRequestClose={() => setImportText(null)}>
+        <View style={styles.modalOverlay}>
+          <View style={styles.modalContent}>
+            <Text style={styles.modalTitle}>Import Level</Text>
+            <Text style={styles.modalHint}>Paste a level definition or a level pack (its first level is used)</Text>
+            <TextInput
+              style={styles.importInput}
+              value={importText || ''}
+              onChangeText={setImportText}
+              multiline
+              autoCapitalize="none"
+              autoCorrect={false}
+              placeholder='{ "layout": "Static", "board": [...] }'
+            />
+            <View style={styles.actions}>
+              <TouchableOpacity style={[styles.actionButton, styles.cancelButton]} onPress={() => setImportText(null)}>
+                <Text style={styles.cancelButtonText}>Cancel</Text>
+              </TouchableOpacity>
+              <TouchableOpacity style={styles.actionButton} onPress={handleImport}>
+                <Text style={styles.actionButtonText}>Import</Text>
+              </TouchableOpacity>
+            </View>
+          </View>
+        </View>
+      </Modal>
+    </SafeAreaView>
+  );
+}
+
+const styles = StyleSheet.create({
+  container: {
+    flex: 1,
+    backgroundColor: '#F0F8F0',
+  },
+  contentWrapper: {
+    flex: 1,
+    marginTop: 50,
+  },
+  scrollView: {
+    flex: 1,
+  },
+  scrollContent: {
+    paddingHorizontal: 20,
+    paddingBottom: 20,
+  },
+  header: {
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+    alignItems: 'center',
+    paddingHorizontal: 20,
+    paddingVertical: 20,
+  },
+  backButton: {
+    padding: 8,
+    width: 40,
+  },
+  title: {
+    fontSize: 28,
+    fontWeight: 'bold',
+    color: '#2E7D32',
+    flex: 1,
+    textAlign: 'center',
+  },
+  row: {
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+    marginBottom: 12,
+  },
+  stepper: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    gap: 8,
+  },
+  stepperLabel: {
+    fontSize: 14,
+    fontWeight: '600',
+    color: '#555',
+  },
+  stepperButton: {
+    width: 30,
+    height: 30,
+    borderRadius: 15,
+    backgroundColor: '#E8F5E8',
+    alignItems: 'center',
+    justifyContent: 'center',
+  },
+  stepperValue: {
+    fontSize: 16,
+    fontWeight: 'bold',
+    color: '#333',
+    minWidth: 28,
+    textAlign: 'center',
+  },
+  palette: {
+    gap: 8,
+    paddingVertical: 8,
+  },
+  paletteItem: {
+    minWidth: 44,
+    height: 44,
+    paddingHorizontal: 4,
+    borderRadius: 10,
+    backgroundColor: '#FFF',
+    alignItems: 'center',
+    justifyContent: 'center',
+    borderWidth: 2,
+    borderColor: 'transparent',
+  },
+  paletteItemActive: {
+    borderColor: '#4CAF50',
+    backgroundColor: '#E8F5E8',
+  },
+  paletteIcon: {
+    fontSize: 22,
+  },
+  paletteLabel: {
+    fontSize: 9,
+    color: '#666',
+  },
+  board: {
+    alignSelf: 'center',
+    marginVertical: 12,
+    padding: 4,
+    backgroundColor: '#FFF',
+    borderRadius: 10,
+  },
+  boardRow: {
+    flexDirection: 'row',
+  },
+  cell: {
+    alignItems: 'center',
+    justifyContent: 'center',
+    borderWidth: StyleSheet.hairlineWidth,
+    borderColor: '#C8E6C9',
+  },
+  holeCell: {
+    backgroundColor: '#F5F5F5',
+    borderStyle: 'dashed',
+    borderColor: '#BDBDBD',
+  },
+  wallCell: {
+    backgroundColor: '#78909C',
+  },
+  cellBadge: {
+    position: 'absolute',
+    top: 0,
+    right: 2,
+    fontSize: 9,
+    color: '#FF9800',
+  },
+  summaryText: {
+    fontSize: 13,
+    color: '#666',
+    textAlign: 'center',
+    marginBottom: 8,
+  },
+  sectionTitle: {
+    fontSize: 16,
+    fontWeight: 'bold',
+    color: '#2E7D32',
+    marginTop: 8,
+  },
+  layoutChip: {
+    paddingHorizontal: 12,
+    paddingVertical: 8,
+    borderRadius: 16,
+    backgroundColor: '#FFF',
+    borderWidth: 2,
+    borderColor: 'transparent',
+  },
+  layoutChipText: {
+    fontSize: 13,
+    color: '#333',
+  },
+  resultBox: {
+    minHeight: 24,
+    marginVertical: 8,
+  },
+  resultText: {
+    fontSize: 15,
+    fontWeight: '600',
+    color: '#333',
+    textAlign: 'center',
+  },
+  errorText: {
+    fontSize: 13,
+    color: '#D32F2F',
+  },
+  actions: {
+    flexDirection: 'row',
+    justifyContent: 'center',
+    gap: 10,
+  },
+  actionButton: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    gap: 4,
+    backgroundColor: '#4CAF50',
+    paddingHorizontal: 14,
+    paddingVertical: 10,
+    borderRadius: 20,
+  },
+  playButton: {
+    backgroundColor: '#FF6B6B',
+  },
+  exportButton: {
+    backgroundColor: '#4ECDC4',
+  },
+  actionButtonText: {
+    color: 'white',
+    fontSize: 14,
+    fontWeight: '600',
+  },
+  cancelButton: {
+    backgroundColor: '#E0E0E0',
+  },
+  cancelButtonText: {
+    color: '#333',
+    fontSize: 14,
+    fontWeight: '600',
+  },
+  modalOverlay: {
+    flex: 1,
+    backgroundColor: 'rgba(0, 0, 0, 0.5)',
+    justifyContent: 'center',
+    padding: 20,
+  },
+  modalContent: {
+    backgroundColor: '#FFF',
+    borderRadius: 16,
+    padding: 20,
+  },
+  modalTitle: {
+    fontSize: 20,
+    fontWeight: 'bold',
+    color: '#2E7D32',
+    marginBottom: 6,
+  },
+  modalHint: {
+    fontSize: 13,
+    color: '#666',
+    marginBottom: 10,
+  },
+  importInput: {
+    height: 160,
+    borderWidth: 1,
+    borderColor: '#C8E6C9',
+    borderRadius: 8,
+    padding: 10,
+    fontFamily: 'monospace',
+    fontSize: 12,
+    textAlignVertical: 'top',
+    marginBottom: 12,
+  },
+});
@@ -4,7 +4,7 @@
  * Extension: Add animations, particle effects, sound integration, or multiplayer
  */
 
-import React, { useState, useEffect, useMemo, useCallback } from 'react';
+import React, { useState, useEffect, useMemo, useCallback, useRef } from 'react';
 import {
   View,
   Text,
@@ -14,23 +14,44 @@ import {
   Alert,
   Modal,
   Vibration,
+  Share,
   ImageBackground,
   Image,
   Switch,
-  Dimensions,
   useWindowDimensions,
-  PixelRatio
+  PixelRatio,
+  AppState
 } from 'react-native';
 import { LinearGradient } from 'expo-linear-gradient';
 import * as Haptics from 'expo-haptics';
-import { router } from 'expo-router';
+import { router, useFocusEffect, useLocalSearchParams } from 'expo-router';
+import * as Linking from 'expo-linking';
 import { MaterialIcons } from '@expo/vector-icons';
 import useGameStore, { GameUtils, GAME_CONSTANTS } from '../store/gameStore';
 import BambooAnimation from '../components/BambooAnimation';
 import SparkAnimation from '../components/SparkAnimation';
 import MiniBoard from '../components/MiniBoard';
+import ConnectionLine from '../components/ConnectionLine';
+import BoardTile from '../components/BoardTile';
 import StorageUtils from '../utils/StorageUtils';
 import soundManager from '../utils/SoundUtils';
+import { shuffleInPlace, formatSeed, parseSeed } from '../engine/random';
+import {
+  findPath,
+  findConnectablePair,
+  getPathCorners,
+  hasConnectablePair,
+  isDeadlocked
+} from '../engine/pathfinder';
+import { applyGravityEffect, getLayoutName } from '../engine/gravity';
+import { kindOf, HOLE, WALL } from '../engine/tiles';
+import { OBSTACLE_TYPES, isObstacle } from '../engine/obstacles';
+import { canMatch, isLocked, isWildcard, specialOf } from '../engine/specials';
+import { belowOf, countAllTiles, revealBelow, stackDepth } from '../engine/layers';
+import { solveBoard } from '../engine/solver';
+import { findSmartHint } from '../engine/hints';
+import { applyMatch, settleRemoval, shuffleExposedTiles } from '../engine/moves';
+import { BOMB_RESHUFFLE_TRIES, packCells } from '../engine/replay';
 
 export default function Game() {
   const { 
@@ -39,24 +60,38 @@ export default function Game() {
     maxLevel,
     inventory,
     settings,
-    useTool,
+    useTool: consumeTool,
     completeLevel,
     startLevel,
-    updateSettings
+    updateSettings,
+    updateGameState,
+    withRandom,
+    saveGameSnapshot,
+    clearSavedGame,
+    recordMove,
+    undoLastMove,
+    logMove,
+    startClock,
+    stopClock,
+    addTime,
+    getElapsedSeconds,
+    getRemainingSeconds
   } = useGameStore();
 
+  // 分享链接参数：link://game?level=N&seed=XXXX
+  const params = useLocalSearchParams();
+
   const [selectedTiles, setSelectedTiles] = useState([]);
-  const [currentLevelBamboo, setCurrentLevelBamboo] = useState(0);
-  const [isPaused, setIsPaused] = useState(false);
   const [showModal, setShowModal] = useState(null); // 'pause', 'complete', 'failed', 'deadlock', 'gravity-tip'
   const [bambooAnimations, setBambooAnimations] = useState([]);
   const [sparkAnimations, setSparkAnimations] = useState([]);
   const [hasShownGravityTip, setHasShownGravityTip] = useState(false);
-  const [hintedTiles, setHintedTiles] = useState([]); // 存储被提示高亮的瓦片位置
+  const [activeHint, setActiveHint] = useState(null); // 分阶段提示：{ tile1, tile2, stage, path }
   const [bombTargetTiles, setBombTargetTiles] = useState([]); // 存储炸弹目标瓦片
-  const [showTutorial, setShowTutorial] = useState(false);
+  const [isBombing, setIsBombing] = useState(false); // 从标记炸弹目标到移除瓦片期间不能点瓦片或用道具
   const [tutorialStep, setTutorialStep] = useState(1); // 1 or 2
   const [errorMessage, setErrorMessage] = useState(null); // 错误提示信息
+  const [matchAnimation, setMatchAnimation] = useState(null); // 正在播放连线动画的一对：{ id, tile1, tile2, pathResult }
 
   // 存储各UI区域的实际高度（通过onLayout获取）
   const [uiHeights, setUiHeights] = useState({
@@ -80,252 +115,67 @@ export default function Game() {
     });
   }, []);
 
+  // 棋盘视图在窗口中的位置，用于把格子坐标换算成屏幕坐标（竹子、火花动画）
+  const boardRef = useRef(null);
+  const [boardOrigin, setBoardOrigin] = useState({ x: 0, y: 0 });
+  const handleBoardLayout = useCallback(() => {
+    boardRef.current?.measureInWindow((x, y) => {
+      setBoardOrigin(prev => (prev.x === x && prev.y === y ? prev : { x, y }));
+    });
+  }, []);
+
   // 使用store中的状态，不使用本地状态
   const timeRemaining = gameState.timeRemaining;
   const heartsRemaining = gameState.heartsRemaining;
-  const board = gameState.board;
+  const board = gameState.board; // 瓦片对象网格：{ id, kind, flags }，空格为假值（见 engine/tiles）
+  const currentLevelBamboo = gameState.currentLevelBamboo;
   
   // 计算进度条相关数据 - 基于剩余瓦片数量
-  const currentSize = GameUtils.getLevelSize(currentLevel);
-  const totalPairs = currentSize / 2;
+  const totalPairs = GameUtils.getLevelTileCount(currentLevel) / 2;
   
-  // 统计剩余瓦片数量
-  const remainingTiles = board.reduce((count, row) => {
-    return count + row.reduce((rowCount, tile) => {
-      return rowCount + (tile ? 1 : 0);
-    }, 0);
-  }, 0);
+  // 统计剩余瓦片数量（含叠放在下层的瓦片，不含形状之外的格子和障碍物）
+  const remainingTiles = countAllTiles(board);
   
   const remainingPairs = remainingTiles / 2;
   const eliminatedPairs = totalPairs - remainingPairs;
   const progressPercentage = totalPairs > 0 ? (eliminatedPairs / totalPairs) * 100 : 0;
   
   // 获取当前关卡的重力模式信息
-  const gravityModeInfo = GameUtils.getGravityModeInfo(currentLevel);
-
-  // Emoji tile types for the game
-  const emojiTiles = ['🌸', '🍀', '🎯', '🏠', '🌞', '🎨', '🎵', '🍎', '🦋', '⭐', '🎪', '🌈', '🎭', '🎲', '🎸', '🐼', '🦊', '🐰', '🐸', '🦁'];
-
-  // 检查棋盘是否可解（至少有一对可连接的瓦片）
-  const isBoardSolvable = (board) => {
-    // 收集所有非空瓦片
-    const tiles = [];
-    for (let row = 0; row < board.length; row++) {
-      for (let col = 0; col < board[0].length; col++) {
-        if (board[row][col]) {
-          tiles.push({
-            row,
-            col,
-            type: board[row][col]
-          });
-        }
-      }
-    }
-    
-    // 检查是否存在至少一对可连接的瓦片
-    for (let i = 0; i < tiles.length; i++) {
-      for (let j = i + 1; j < tiles.length; j++) {
-        const tile1 = tiles[i];
-        const tile2 = tiles[j];
-        
-        // 只检查相同类型的瓦片
-        if (tile1.type === tile2.type) {
-          const pathResult = findPath(tile1, tile2);
-          if (pathResult.isValid) {
-            return true; // 找到可连接的瓦片对
-          }
-        }
-      }
-    }
-    
-    return false; // 没有找到任何可连接的瓦片对
-  };
+  const gravityModeInfo = GameUtils.getGravityModeInfo(currentLevel, gameState.matchCount);
 
-  // 安全的随机炸弹目标选择（支持多目标）
-  const findSafeRandomBombTargets = (currentBoard, targetCount) => {
-    // 统计每种瓦片的数量和位置
-    const tileStats = {};
-    
-    for (let row = 0; row < currentBoard.length; row++) {
-      for (let col = 0; col < currentBoard[0].length; col++) {
-        const tile = currentBoard[row][col];
-        if (tile) {
-          if (!tileStats[tile]) {
-            tileStats[tile] = [];
-          }
-          tileStats[tile].push({ row, col, type: tile });
-        }
-      }
-    }
-    
-    // 找到数量≥targetCount且消除后剩余数量为偶数的瓦片类型（安全炸弹目标）
-    const safeTileTypes = [];
-    for (const [type, positions] of Object.entries(tileStats)) {
-      const remainingAfterBomb = positions.length - targetCount;
-      if (positions.length >= targetCount && remainingAfterBomb >= 0 && remainingAfterBomb % 2 === 0) {
-        safeTileTypes.push({ type, positions });
-      }
-    }
-    
-    if (safeTileTypes.length === 0) {
-      return null; // 没有安全的炸弹目标
-    }
-    
-    // 随机选择一种瓦片类型
-    const randomTypeData = safeTileTypes[Math.floor(Math.random() * safeTileTypes.length)];
-    
-    // 从该类型中随机选择targetCount个瓦片
-    const positions = randomTypeData.positions;
-    const shuffledPositions = [...positions];
-    
-    // 洗牌算法
-    for (let i = shuffledPositions.length - 1; i > 0; i--) {
-      const j = Math.floor(Math.random() * (i + 1));
-      [shuffledPositions[i], shuffledPositions[j]] = [shuffledPositions[j], shuffledPositions[i]];
-    }
-    
-    // 返回指定数量的目标瓦片
-    return shuffledPositions.slice(0, targetCount);
-  };
+  // 当前关卡的连接规则（转弯上限、外圈、斜向）
+  const levelRules = GameUtils.getLevelRules(currentLevel);
 
-  // 生成基础棋盘（简单随机分布）
-  const generateBasicBoard = (size, kinds) => {
-    const [rows, cols] = GameUtils.getBoardDimensions(size);
-    const pairs = size / 2;
-    const availableEmojis = emojiTiles.slice(0, kinds);
-    
-    // 创建瓦片对
-    const tiles = [];
-    for (let i = 0; i < pairs; i++) {
-      const emoji = availableEmojis[i % kinds];
-      tiles.push(emoji, emoji);
-    }
-    
-    // 洗牌
-    for (let i = tiles.length - 1; i > 0; i--) {
-      const j = Math.floor(Math.random() * (i + 1));
-      [tiles[i], tiles[j]] = [tiles[j], tiles[i]];
-    }
-    
-    // 填充到棋盘
-    const newBoard = Array(rows).fill().map(() => Array(cols).fill(''));
-    let tileIndex = 0;
-    
-    for (let row = 0; row < rows; row++) {
-      for (let col = 0; col < cols; col++) {
-        if (tileIndex < tiles.length) {
-          newBoard[row][col] = tiles[tileIndex];
-          tileIndex++;
-        }
-      }
-    }
-    
-    return newBoard;
-  };
+  // 提示高亮的瓦片：第一阶段只亮出一块，之后亮出整对
+  const hintedTiles = activeHint
+    ? (activeHint.stage === 1 ? [activeHint.tile1] : [activeHint.tile1, activeHint.tile2])
+    : [];
 
-  // 生成可解的棋盘（带验证）
-  const generateSolvableBoard = (size, kinds, maxAttempts = 50) => {
-    let attempts = 0;
-    let board;
-    
-    do {
-      board = generateBasicBoard(size, kinds);
-      attempts++;
-      
-      // 如果尝试次数过多，使用智能生成
-      if (attempts >= maxAttempts) {
-        board = generateIntelligentBoard(size, kinds);
-        break;
-      }
-    } while (!isBoardSolvable(board));
-    
-    return board;
-  };
-
-  // 智能生成棋盘（确保可解）
-  const generateIntelligentBoard = (size, kinds) => {
-    const [rows, cols] = GameUtils.getBoardDimensions(size);
-    const pairs = size / 2;
-    const availableEmojis = emojiTiles.slice(0, kinds);
-    
-    // 创建空棋盘
-    const board = Array(rows).fill().map(() => Array(cols).fill(''));
-    
-    // 创建瓦片对列表
-    const tilePairs = [];
-    for (let i = 0; i < pairs; i++) {
-      const emoji = availableEmojis[i % kinds];
-      tilePairs.push(emoji);
-    }
-    
-    // 洗牌瓦片对
-    for (let i = tilePairs.length - 1; i > 0; i--) {
-      const j = Math.floor(Math.random() * (i + 1));
-      [tilePairs[i], tilePairs[j]] = [tilePairs[j], tilePairs[i]];
-    }
-    
-    // 智能放置瓦片对
-    for (const tileType of tilePairs) {
-      const positions = findBestPositionsForPair(board, rows, cols);
-      if (positions.length >= 2) {
-        // 放置一对瓦片
-        board[positions[0].row][positions[0].col] = tileType;
-        board[positions[1].row][positions[1].col] = tileType;
-      }
-    }
-    
-    return board;
-  };
-
-  // 为瓦片对寻找最佳放置位置
-  const findBestPositionsForPair = (board, rows, cols) => {
-    const emptyPositions = [];
-    
-    // 收集所有空位置
-    for (let row = 0; row < rows; row++) {
-      for (let col = 0; col < cols; col++) {
-        if (!board[row][col]) {
-          emptyPositions.push({ row, col });
-        }
-      }
-    }
-    
-    // 洗牌空位置以增加随机性
-    for (let i = emptyPositions.length - 1; i > 0; i--) {
-      const j = Math.floor(Math.random() * (i + 1));
-      [emptyPositions[i], emptyPositions[j]] = [emptyPositions[j], emptyPositions[i]];
-    }
-    
-    // 尝试找到可连接的位置对
-    for (let i = 0; i < emptyPositions.length; i++) {
-      for (let j = i + 1; j < emptyPositions.length; j++) {
-        const pos1 = emptyPositions[i];
-        const pos2 = emptyPositions[j];
-        
-        // 临时放置瓦片来测试连接性
-        const tempTile1 = { row: pos1.row, col: pos1.col, type: 'test' };
-        const tempTile2 = { row: pos2.row, col: pos2.col, type: 'test' };
-        
-        // 检查这两个位置是否可以连接
-        const pathResult = findPath(tempTile1, tempTile2);
-        if (pathResult.isValid) {
-          return [pos1, pos2];
-        }
-      }
-    }
-    
-    // 如果没有找到理想位置，返回前两个空位置
-    return emptyPositions.slice(0, 2);
-  };
+  // 棋盘变化后（消除、洗牌、炸弹）提示失效
+  useEffect(() => {
+    setActiveHint(null);
+  }, [board]);
+
+  // 当前棋盘是否还有可走的一步（完整可解性见 engine/solver 的 verifySolution）
+  const hasAvailableMove = (board) => hasConnectablePair(board, levelRules);
+
+  // 在节点预算内搜索完整消除序列：'solved' | 'lost' | 'unknown'
+  const solvePosition = (board, matchCount = gameState.matchCount) => solveBoard(board, {
+    layoutType: GameUtils.getLevelLayout(currentLevel),
+    rules: levelRules,
+    matchCount,
+    maxNodes: GAME_CONSTANTS.SOLVER_NODE_BUDGET
+  });
 
-  // 生成棋盘的主函数
-  const generateBoard = (size, kinds) => {
-    return generateSolvableBoard(size, kinds);
-  };
   // Timer effect
   useEffect(() => {
-    // 组件挂载时自动开始当前关卡
-    if (!gameState.isPlaying) {
+    // 通过分享链接进入时重玩同一棋盘（仅限已解锁关卡）
+    const sharedSeed = parseSeed(params.seed);
+    const sharedLevel = Number(params.level) || currentLevel;
+    if (sharedSeed !== null && sharedLevel <= maxLevel + 1) {
+      startLevel(sharedLevel, { seed: sharedSeed });
+    } else if (!gameState.isPlaying) {
+      // 组件挂载时自动开始当前关卡
       startLevel(currentLevel);
     }
     
@@ -376,14 +226,12 @@ export default function Game() {
         const hasShown = data?.level1GuideShown === true;
         if (!hasShown && currentLevel === 1) {
           setTutorialStep(1);
-          setShowTutorial(true);
           setShowModal('tutorial');
         }
       } catch (e) {
         // 读取失败也不阻塞游戏，仅在Level 1显示
         if (currentLevel === 1) {
           setTutorialStep(1);
-          setShowTutorial(true);
           setShowModal('tutorial');
         }
       }
@@ -403,74 +251,58 @@ export default function Game() {
     } catch (e) {
       // ignore persist errors
     }
-    setShowTutorial(false);
     setShowModal(null);
   };
   
-  // 根据关卡规模计算炸弹威力
-  const getBombTargetCount = (levelSize) => {
-    if (levelSize === 20) return 2;      // 小关卡：2个瓦片
-    if (levelSize === 60) return 4;      // 中关卡：4个瓦片
-    if (levelSize === 80) return 6;      // 大关卡：6个瓦片
-    return 2; // 默认值
-  };
-
   // 监听关卡变化，重置重力提示状态
   useEffect(() => {
     setHasShownGravityTip(false);
   }, [currentLevel]);
 
-  // Timer effect
+  // 每一步（棋盘、爱心或竹子变化）后保存对局，应用被关闭后可以继续
   useEffect(() => {
-    let interval;
-    if (timeRemaining > 0 && !isPaused && !showModal) {
-      interval = setInterval(() => {
-        // 直接更新store中的时间
-        const newTime = timeRemaining - 1;
-        if (newTime <= 0) {
-          useGameStore.setState({
-            gameState: {
-              ...gameState,
-              timeRemaining: 0
-            }
-          });
-          handleGameOver('time');
-        } else {
-          useGameStore.setState({
-            gameState: {
-              ...gameState,
-              timeRemaining: newTime
-            }
-          });
-        }
-      }, 1000);
+    saveGameSnapshot();
+  }, [gameState.board, gameState.heartsRemaining, gameState.currentLevelBamboo]);
+
+  // 切到后台时保存对局并暂停
+  useEffect(() => {
+    const subscription = AppState.addEventListener('change', (nextState) => {
+      if (nextState === 'active') return;
+      stopClock();
+      saveGameSnapshot();
+      setShowModal(current => current || 'pause');
+    });
+    return () => subscription.remove();
+  }, []);
+
+  // 游戏时钟：只在对局进行且没有弹窗（包括暂停弹窗）时走动，离开页面时停止
+  useEffect(() => {
+    if (gameState.isPlaying && !showModal) {
+      startClock();
+    } else {
+      stopClock();
     }
-    return () => clearInterval(interval);
-  }, [timeRemaining, isPaused, showModal, gameState]);
+  }, [gameState.isPlaying, showModal]);
+
+  useEffect(() => stopClock, []);
 
-  // 旧的timer effect逻辑，替换为上面的新逻辑
-  /*
+  // 时间用完
   useEffect(() => {
-    let interval;
-    if (timeRemaining > 0 && !isPaused && !showModal) {
-      interval = setInterval(() => {
-        setTimeRemaining(prev => {
-          if (prev <= 1) {
-            handleGameOver('time');
-            return 0;
-          }
-          return prev - 1;
-        });
-      }, 1000);
+    if (gameState.isPlaying && timeRemaining <= 0) {
+      handleGameOver('time');
     }
-    return () => clearInterval(interval);
-  }, [timeRemaining, isPaused, showModal]);
-  */
+  }, [gameState.isPlaying, timeRemaining]);
 
   const handleTilePress = (row, col) => {
-    if (isPaused || showModal || !board[row][col] || timeRemaining <= 0) return;
+    if (showModal || matchAnimation || isBombing || !kindOf(board[row][col]) || timeRemaining <= 0) return;
+    // 锁住的瓦片不能选中，也不扣心
+    if (isLocked(board[row][col])) {
+      showErrorTip("Locked~ Match a pair next to it first");
+      playSound('tap');
+      return;
+    }
 
-    const tilePos = { row, col, type: board[row][col] };
+    const tilePos = { row, col, type: kindOf(board[row][col]) };
     
     if (selectedTiles.length === 0) {
       // First tile selection
@@ -489,9 +321,9 @@ export default function Game() {
         playSound('tap');
         
         // Then check if they can be matched
-        if (firstTile.type === tilePos.type) {
-          // Same type - check if valid path
-          const pathResult = isValidPath(firstTile, tilePos);
+        if (canMatch(board[firstTile.row][firstTile.col], board[row][col])) {
+          // Same type (or a wildcard) - check if valid path
+          const pathResult = findPath(board, firstTile, tilePos, levelRules);
           if (pathResult.isValid) {
             // Valid match - delay slightly to show selection
             setTimeout(() => {
@@ -501,245 +333,77 @@ export default function Game() {
             // Invalid path - show unified error message
             setTimeout(() => {
               showErrorTip("Invalid connection rule~");
-              handleInvalidMatch();
+              handleInvalidMatch(firstTile, tilePos);
             }, 100);
           }
         } else {
           // Different types
           setTimeout(() => {
             showErrorTip("Invalid connection rule~");
-            handleInvalidMatch();
+            handleInvalidMatch(firstTile, tilePos);
           }, 100);
         }
       }
     }
   };
 
-  const isValidPath = (tile1, tile2) => {
-    return findPath(tile1, tile2);
-  };
-
-  // 检查位置是否为空（可以通过）
-  const isEmpty = (row, col, boardToCheck = board) => {
-    // 边界外视为空
-    if (row < 0 || row >= boardToCheck.length || col < 0 || col >= boardToCheck[0].length) {
-      return true;
-    }
-    return !boardToCheck[row][col];
-  };
-
-  // 路径验证算法 - 连连看核心逻辑
-  const findPath = (tile1, tile2, boardToCheck = board) => {
-    const { row: r1, col: c1 } = tile1;
-    const { row: r2, col: c2 } = tile2;
-    
-    // 检查直线连接（0转弯）
-    const straightPath = findStraightPath(r1, c1, r2, c2, boardToCheck);
-    if (straightPath.isValid) {
-      return { isValid: true, turns: 0, path: straightPath.path };
-    }
-    
-    // 检查一次转弯连接（1转弯）
-    const oneCornerPath = findOneCornerPath(r1, c1, r2, c2, boardToCheck);
-    if (oneCornerPath.isValid) {
-      return { isValid: true, turns: 1, path: oneCornerPath.path };
-    }
-    
-    // 检查两次转弯连接（2转弯）
-    const twoCornerPath = findTwoCornerPath(r1, c1, r2, c2, boardToCheck);
-    if (twoCornerPath.isValid) {
-      return { isValid: true, turns: 2, path: twoCornerPath.path };
-    }
-    
-    return { isValid: false, turns: -1, path: [] };
-  };
-
-  // 检查直线路径（水平或垂直）
-  const findStraightPath = (r1, c1, r2, c2, boardToCheck = board) => {
-    const path = [];
-    
-    if (r1 === r2) {
-      // 水平直线
-      const minCol = Math.min(c1, c2);
-      const maxCol = Math.max(c1, c2);
-      
-      // 检查中间是否有障碍
-      for (let col = minCol + 1; col < maxCol; col++) {
-        if (!isEmpty(r1, col, boardToCheck)) {
-          return { isValid: false, path: [] };
-        }
-        path.push({ row: r1, col });
-      }
-      
-      return { isValid: true, path };
-    } else if (c1 === c2) {
-      // 垂直直线
-      const minRow = Math.min(r1, r2);
-      const maxRow = Math.max(r1, r2);
-      
-      // 检查中间是否有障碍
-      for (let row = minRow + 1; row < maxRow; row++) {
-        if (!isEmpty(row, c1, boardToCheck)) {
-          return { isValid: false, path: [] };
-        }
-        path.push({ row, col: c1 });
-      }
-      
-      return { isValid: true, path };
-    }
-    
-    return { isValid: false, path: [] };
-  };
-
-  // 检查一次转弯路径（L形）
-  const findOneCornerPath = (r1, c1, r2, c2, boardToCheck = board) => {
-    // 尝试两种L形路径
-    
-    // 路径1: (r1,c1) -> (r1,c2) -> (r2,c2)
-    const path1 = checkLPath(r1, c1, r1, c2, r2, c2, boardToCheck);
-    if (path1.isValid) {
-      return path1;
-    }
-    
-    // 路径2: (r1,c1) -> (r2,c1) -> (r2,c2)
-    const path2 = checkLPath(r1, c1, r2, c1, r2, c2, boardToCheck);
-    if (path2.isValid) {
-      return path2;
-    }
-    
-    return { isValid: false, path: [] };
+  // 先画出连接路径，动画结束后再移除瓦片并应用重力（动画期间不接受操作）
+  const handleSuccessfulMatch = (tile1, tile2) => {
+    const pathResult = findPath(board, tile1, tile2, levelRules);
+    setMatchAnimation({ id: Date.now(), tile1, tile2, pathResult });
   };
 
-  // 检查L形路径
-  const checkLPath = (r1, c1, rMid, cMid, r2, c2, boardToCheck = board) => {
-    // 转折点必须为空
-    if (!isEmpty(rMid, cMid, boardToCheck)) {
-      return { isValid: false, path: [] };
-    }
-    
-    // 检查第一段路径
-    const segment1 = findStraightPath(r1, c1, rMid, cMid, boardToCheck);
-    if (!segment1.isValid) {
-      return { isValid: false, path: [] };
-    }
-    
-    // 检查第二段路径
-    const segment2 = findStraightPath(rMid, cMid, r2, c2, boardToCheck);
-    if (!segment2.isValid) {
-      return { isValid: false, path: [] };
-    }
-    
-    // 合并路径
-    const fullPath = [...segment1.path, { row: rMid, col: cMid }, ...segment2.path];
-    return { isValid: true, path: fullPath };
+  const handleMatchAnimationComplete = (tile1, tile2, pathResult) => {
+    setMatchAnimation(null);
+    // 连线期间对局已结束（如时间用完）时不再结算这次消除
+    if (!useGameStore.getState().gameState.isPlaying) return;
+    executeSuccessfulMatch(tile1, tile2, pathResult);
   };
 
-  // 检查两次转弯路径
-  const findTwoCornerPath = (r1, c1, r2, c2, boardToCheck = board) => {
-    const boardHeight = boardToCheck.length;
-    const boardWidth = boardToCheck[0].length;
-    
-    // 首先尝试棋盘内部的所有空白位置作为中转点
-    for (let row = 0; row < boardHeight; row++) {
-      for (let col = 0; col < boardWidth; col++) {
-        if (isEmpty(row, col, boardToCheck)) {
-          const path = checkTwoCornerPath(r1, c1, row, col, r2, c2, boardToCheck);
-          if (path.isValid) return path;
-        }
-      }
-    }
-    
-    // 然后尝试通过边界外的路径连接
-    // 尝试上边界外
-    for (let col = -1; col <= boardWidth; col++) {
-      const path = checkTwoCornerPath(r1, c1, -1, col, r2, c2, boardToCheck);
-      if (path.isValid) return path;
-    }
-    
-    // 尝试下边界外
-    for (let col = -1; col <= boardWidth; col++) {
-      const path = checkTwoCornerPath(r1, c1, boardHeight, col, r2, c2, boardToCheck);
-      if (path.isValid) return path;
-    }
-    
-    // 尝试左边界外
-    for (let row = -1; row <= boardHeight; row++) {
-      const path = checkTwoCornerPath(r1, c1, row, -1, r2, c2, boardToCheck);
-      if (path.isValid) return path;
-    }
-    
-    // 尝试右边界外
-    for (let row = -1; row <= boardHeight; row++) {
-      const path = checkTwoCornerPath(r1, c1, row, boardWidth, r2, c2, boardToCheck);
-      if (path.isValid) return path;
-    }
-    
-    return { isValid: false, path: [] };
-  };
+  // 移除若干瓦片并应用本关重力（瓦片对象随重力移动，滑动动画按 id 保持身份，见 engine/moves）
+  const removeTilesAndSettle = (cells) => settleRemoval(board, cells, {
+    layoutType: GameUtils.getLevelLayout(currentLevel),
+    matchCount: gameState.matchCount
+  });
 
-  // 检查通过中间点的两次转弯路径
-  const checkTwoCornerPath = (r1, c1, rMid, cMid, r2, c2, boardToCheck = board) => {
-    // 中间点必须为空（如果在棋盘内）
-    if (!isEmpty(rMid, cMid, boardToCheck)) {
-      return { isValid: false, path: [] };
-    }
-    
-    // 尝试两种路径组合：
-    // 1. 起点 -> 中间点（直线） -> 终点（直线）
-    const straightPath1 = findStraightPath(r1, c1, rMid, cMid, boardToCheck);
-    const straightPath2 = findStraightPath(rMid, cMid, r2, c2, boardToCheck);
-    
-    if (straightPath1.isValid && straightPath2.isValid) {
-      const fullPath = [...straightPath1.path, { row: rMid, col: cMid }, ...straightPath2.path];
-      return { isValid: true, path: fullPath };
-    }
-    
-    // 2. 起点 -> 中间点（L形） -> 终点（直线）
-    const lPath1 = findOneCornerPath(r1, c1, rMid, cMid, boardToCheck);
-    const straightPath3 = findStraightPath(rMid, cMid, r2, c2, boardToCheck);
-    
-    if (lPath1.isValid && straightPath3.isValid) {
-      const fullPath = [...lPath1.path, { row: rMid, col: cMid }, ...straightPath3.path];
-      return { isValid: true, path: fullPath };
-    }
-    
-    // 3. 起点 -> 中间点（直线） -> 终点（L形）
-    const straightPath4 = findStraightPath(r1, c1, rMid, cMid, boardToCheck);
-    const lPath2 = findOneCornerPath(rMid, cMid, r2, c2, boardToCheck);
-    
-    if (straightPath4.isValid && lPath2.isValid) {
-      const fullPath = [...straightPath4.path, { row: rMid, col: cMid }, ...lPath2.path];
-      return { isValid: true, path: fullPath };
-    }
-    
-    return { isValid: false, path: [] };
-  };
+  const executeSuccessfulMatch = (tile1, tile2, pathResult) => {
+    // 记下消除前的局面，撤销时恢复到只选中第一块瓦片的状态
+    recordMove([tile1]);
+    logMove({ type: 'match', cells: packCells([tile1, tile2]) });
 
-  const handleSuccessfulMatch = (tile1, tile2) => {
-    const pathResult = findPath(tile1, tile2);
-    executeSuccessfulMatch(tile1, tile2, pathResult);
-  };
+    // 加时瓦片：每块增加 BONUS_TILE_SECONDS 秒
+    const bonusSeconds = [tile1, tile2]
+      .filter(({ row, col }) => specialOf(board[row][col]) === 'bonus').length * GAME_CONSTANTS.BONUS_TILE_SECONDS;
 
-  const executeSuccessfulMatch = (tile1, tile2, pathResult) => {
-    // Remove tiles and apply gravity
-    let newBoard = board.map(row => [...row]);
-    newBoard[tile1.row][tile1.col] = '';
-    newBoard[tile2.row][tile2.col] = '';
-    
-    // Apply gravity effect based on current level layout
-    const currentLayout = GameUtils.getLevelLayout(currentLevel);
-    newBoard = applyGravityEffect(newBoard, currentLayout);
+    // Remove tiles and apply gravity based on current level layout
+    // 倒计时瓦片每次消除后减一步，步数耗尽的瓦片各扣一颗心
+    // Rotate 布局按消除次数转向，这次消除也计算在内
+    const matchCount = gameState.matchCount + 1;
+    const { board: newBoard, expired } = applyMatch(board, [tile1, tile2], GameUtils.getLevelLayout(currentLevel), matchCount);
+    const newHearts = heartsRemaining - expired.length;
     
     // 更新store中的棋盘
-    useGameStore.setState({
-      gameState: {
-        ...gameState,
-        board: newBoard
-      }
+    updateGameState({
+      board: newBoard,
+      matchCount,
+      heartsRemaining: newHearts
     });
+    if (bonusSeconds > 0) {
+      addTime(bonusSeconds);
+      showErrorTip(`+${bonusSeconds}s bonus time!`);
+    }
+    if (expired.length > 0) {
+      showErrorTip("Countdown tile expired~ -1 ❤️");
+      vibrate('error');
+      if (newHearts <= 0) {
+        setSelectedTiles([]);
+        handleGameOver('hearts');
+        return;
+      }
+    }
     
     // Calculate bamboo based on path turns (only for first-time completion)
-    const earnedBamboo = pathResult.turns + 1; // 0转弯=1竹子, 1转弯=2竹子, 2转弯=3竹子
+    const earnedBamboo = pathResult.turns + 1; // 0转弯=1竹子, 1转弯=2竹子, 2转弯=3竹子, 3转弯=4竹子
     const isFirstTime = currentLevel > maxLevel;
     
     // 只有首次通关才给予竹子奖励和动画
@@ -760,7 +424,7 @@ export default function Game() {
         endPosition: { x: endX, y: endY },
       }]);
       
-      setCurrentLevelBamboo(prev => prev + earnedBamboo);
+      updateGameState({ currentLevelBamboo: currentLevelBamboo + earnedBamboo });
     }
     
     setSelectedTiles([]);
@@ -771,24 +435,22 @@ export default function Game() {
     if (isLevelComplete(newBoard)) {
       handleLevelComplete();
     } else {
-      // Check for deadlock
-      if (isDeadlocked(newBoard)) {
+      // Check for deadlock（包括还有可走步但已无法全部消除的局面）
+      if (isDeadlocked(newBoard, levelRules) || solvePosition(newBoard, matchCount).status === 'lost') {
         setShowModal('deadlock');
       }
     }
   };
 
-  // 计算竹子动画的起始位置
+  // 计算竹子动画的起始位置：直线连接从两块中点出发，有拐角时依次从起点、拐角、终点出发
   const calculateBambooStartPositions = (path, bambooCount, tile1, tile2) => {
     const positions = [];
-    const tileSize = 34; // 瓦片大小包含间距
-    const boardOffsetX = 15; // 棋盘在屏幕中的X偏移
-    const boardOffsetY = 200; // 棋盘在屏幕中的Y偏移（大概位置）
     
     if (path.length === 0) {
-      // 直线连接，从两个瓦片中心开始
-      const centerX = boardOffsetX + (tile1.col + tile2.col) / 2 * tileSize + tileSize / 2;
-      const centerY = boardOffsetY + (tile1.row + tile2.row) / 2 * tileSize + tileSize / 2;
+      const start = getTileScreenPosition(tile1.row, tile1.col);
+      const end = getTileScreenPosition(tile2.row, tile2.col);
+      const centerX = (start.x + end.x) / 2;
+      const centerY = (start.y + end.y) / 2;
       
       for (let i = 0; i < bambooCount; i++) {
         positions.push({
@@ -797,34 +459,12 @@ export default function Game() {
         });
       }
     } else {
-      // 有拐角的连接，从拐角位置开始
-      const corners = [];
-      
-      // 添加起始点
-      corners.push({
-        x: boardOffsetX + tile1.col * tileSize + tileSize / 2,
-        y: boardOffsetY + tile1.row * tileSize + tileSize / 2
-      });
-      
-      // 添加路径中的拐角点
-      for (let i = 0; i < path.length; i++) {
-        const point = path[i];
-        corners.push({
-          x: boardOffsetX + point.col * tileSize + tileSize / 2,
-          y: boardOffsetY + point.row * tileSize + tileSize / 2
-        });
-      }
-      
-      // 添加终点
-      corners.push({
-        x: boardOffsetX + tile2.col * tileSize + tileSize / 2,
-        y: boardOffsetY + tile2.row * tileSize + tileSize / 2
-      });
+      const corners = [tile1, ...getPathCorners(tile1, path, tile2), tile2]
+        .map(cell => getTileScreenPosition(cell.row, cell.col));
       
       // 根据竹子数量分配到拐角位置
       for (let i = 0; i < bambooCount; i++) {
-        const cornerIndex = Math.min(i, corners.length - 1);
-        const corner = corners[cornerIndex];
+        const corner = corners[Math.min(i, corners.length - 1)];
         
         positions.push({
           x: corner.x + (Math.random() - 0.5) * 20, // 添加随机偏移
@@ -836,144 +476,10 @@ export default function Game() {
     return positions;
   };
 
-  // Apply gravity effect based on layout type
-  const applyGravityEffect = (board, layoutType) => {
-    const newBoard = board.map(row => [...row]);
-    const rows = newBoard.length;
-    const cols = newBoard[0].length;
-
-    switch (layoutType) {
-      case 'Static':
-        // No movement, tiles stay in place
-        return newBoard;
-
-      case 'Left':
-        // Tiles slide left to fill gaps
-        for (let row = 0; row < rows; row++) {
-          const rowTiles = [];
-          for (let col = 0; col < cols; col++) {
-            if (newBoard[row][col]) {
-              rowTiles.push(newBoard[row][col]);
-            }
-          }
-          // Fill from left, empty spaces on right
-          for (let col = 0; col < cols; col++) {
-            newBoard[row][col] = rowTiles[col] || '';
-          }
-        }
-        break;
-
-      case 'Right':
-        // Tiles slide right to fill gaps
-        for (let row = 0; row < rows; row++) {
-          const rowTiles = [];
-          for (let col = 0; col < cols; col++) {
-            if (newBoard[row][col]) {
-              rowTiles.push(newBoard[row][col]);
-            }
-          }
-          // Fill from right, empty spaces on left
-          for (let col = 0; col < cols; col++) {
-            const tileIndex = rowTiles.length - cols + col;
-            newBoard[row][col] = tileIndex >= 0 ? rowTiles[tileIndex] : '';
-          }
-        }
-        break;
-
-      case 'Up':
-        // Tiles slide up to fill gaps
-        for (let col = 0; col < cols; col++) {
-          const colTiles = [];
-          for (let row = 0; row < rows; row++) {
-            if (newBoard[row][col]) {
-              colTiles.push(newBoard[row][col]);
-            }
-          }
-          // Fill from top, empty spaces at bottom
-          for (let row = 0; row < rows; row++) {
-            newBoard[row][col] = colTiles[row] || '';
-          }
-        }
-        break;
-
-      case 'Down':
-        // Tiles slide down to fill gaps (like Tetris)
-        for (let col = 0; col < cols; col++) {
-          const colTiles = [];
-          for (let row = 0; row < rows; row++) {
-            if (newBoard[row][col]) {
-              colTiles.push(newBoard[row][col]);
-            }
-          }
-          // Fill from bottom, empty spaces at top
-          for (let row = 0; row < rows; row++) {
-            const tileIndex = colTiles.length - rows + row;
-            newBoard[row][col] = tileIndex >= 0 ? colTiles[tileIndex] : '';
-          }
-        }
-        break;
-
-      case 'Split':
-        // Tiles split left and right from center based on their position
-        for (let row = 0; row < rows; row++) {
-          const leftTiles = [];
-          const rightTiles = [];
-          const centerCol = Math.floor(cols / 2);
-          
-          // Collect tiles based on their position relative to center
-          for (let col = 0; col < cols; col++) {
-            if (newBoard[row][col]) {
-              if (col < centerCol) {
-                // Left side tiles
-                leftTiles.push(newBoard[row][col]);
-              } else if (col > centerCol) {
-                // Right side tiles
-                rightTiles.push(newBoard[row][col]);
-              } else {
-                // Center column - decide based on odd/even columns
-                if (cols % 2 === 1) {
-                  // Odd columns: center tile goes to left
-                  leftTiles.push(newBoard[row][col]);
-                } else {
-                  // Even columns: no true center, this shouldn't happen
-                  leftTiles.push(newBoard[row][col]);
-                }
-              }
-            }
-          }
-          
-          // Clear the row first
-          for (let col = 0; col < cols; col++) {
-            newBoard[row][col] = '';
-          }
-          
-          // Place left tiles from left side (maintain their relative order)
-          for (let i = 0; i < leftTiles.length; i++) {
-            newBoard[row][i] = leftTiles[i];
-          }
-          
-          // Place right tiles from right side (maintain their relative order)
-          for (let i = 0; i < rightTiles.length; i++) {
-            newBoard[row][cols - rightTiles.length + i] = rightTiles[i];
-          }
-        }
-        break;
-
-      default:
-        return newBoard;
-    }
-
-    return newBoard;
-  };
-
-  const handleInvalidMatch = () => {
+  const handleInvalidMatch = (tile1, tile2) => {
+    logMove({ type: 'miss', cells: packCells([tile1, tile2]) });
     const newHearts = heartsRemaining - 1;
-    useGameStore.setState({
-      gameState: {
-        ...gameState,
-        heartsRemaining: newHearts
-      }
-    });
+    updateGameState({ heartsRemaining: newHearts });
     setSelectedTiles([]);
     playSound('fail');
     vibrate('error'); // 错误震动表示失败
@@ -992,152 +498,83 @@ export default function Game() {
     }, 3000);
   };
 
-  // 重启当前关卡
-  const handleRestart = () => {
+  // 重启当前关卡（options.seed 用于重玩同一棋盘）
+  const restartLevel = (options = {}) => {
     // 重置所有关卡状态，但保持道具消耗
     setSelectedTiles([]);
-    setCurrentLevelBamboo(0);
-    setHintedTiles([]);
+    setActiveHint(null);
+    setMatchAnimation(null);
     setBambooAnimations([]);
     setSparkAnimations([]);
     setHasShownGravityTip(false);
     
     // 重新开始当前关卡
-    startLevel(currentLevel);
+    startLevel(currentLevel, options);
     
     // 关闭模态框
     setShowModal(null);
   };
 
+  const handleRestart = () => restartLevel();
+
+  const handleReplayBoard = () => restartLevel({ seed: gameState.seed });
+
+  // 分享当前棋盘种子
+  const handleShareSeed = async () => {
+    const seedText = formatSeed(gameState.seed);
+    const url = Linking.createURL('game', { queryParams: { level: String(currentLevel), seed: seedText } });
+    try {
+      await Share.share({ message: `Try Level ${currentLevel} on Link with board seed ${seedText}: ${url}` });
+    } catch (error) {
+      console.warn('Failed to share seed:', error);
+    }
+  };
+
+  // 编辑器试玩：不计进度，退出时回到编辑器
+  const isPlayTest = currentLevel === GAME_CONSTANTS.PLAYTEST_LEVEL;
+  const exitLabel = isPlayTest ? 'Editor' : 'Home';
+  const handleExit = () => (isPlayTest ? router.back() : router.replace('/'));
+
+  // 回放本次尝试（完成或失败后）：原生 Modal 会盖住新页面，先关掉，回到本页时再打开
+  const replayReturnModal = useRef(null);
+  const handleWatchReplay = () => {
+    replayReturnModal.current = showModal;
+    setShowModal(null);
+    router.push('/replay');
+  };
+  useFocusEffect(useCallback(() => {
+    if (!replayReturnModal.current) return;
+    setShowModal(replayReturnModal.current);
+    replayReturnModal.current = null;
+  }, []));
+
   // 获取初始爱心数量
   const initialHearts = GameUtils.calculateHearts(currentLevel);
 
   const isLevelComplete = (currentBoard) => {
-    return currentBoard.every(row => row.every(tile => !tile));
-  };
-
-  const isDeadlocked = (currentBoard) => {
-    // 收集所有非空瓦片的位置和类型
-    const tiles = [];
-    for (let row = 0; row < currentBoard.length; row++) {
-      for (let col = 0; col < currentBoard[0].length; col++) {
-        if (currentBoard[row][col]) {
-          tiles.push({
-            row,
-            col,
-            type: currentBoard[row][col]
-          });
-        }
-      }
-    }
-    
-    // 检查是否存在任何可连接的瓦片对
-    for (let i = 0; i < tiles.length; i++) {
-      for (let j = i + 1; j < tiles.length; j++) {
-        const tile1 = tiles[i];
-        const tile2 = tiles[j];
-        
-        // 只检查相同类型的瓦片
-        if (tile1.type === tile2.type) {
-          // 使用现有的路径识别算法检查是否可连接
-          const pathResult = findPath(tile1, tile2, currentBoard);
-          if (pathResult.isValid) {
-            return false; // 找到可连接的瓦片对，不是死局
-          }
-        }
-      }
-    }
-    
-    // 没有找到任何可连接的瓦片对，是死局
-    return tiles.length > 0; // 只有还有瓦片但无法连接才是死局
+    return currentBoard.every(row => row.every(tile => !kindOf(tile)));
   };
 
   const handleLevelComplete = () => {
-    // 计算实际用时：初始时间 - 剩余时间
-    const initialTime = GameUtils.calculateTimeLimit(currentLevel);
-    const usedTime = initialTime - timeRemaining;
+    // 先停表，用时取游戏时钟的读数（不含暂停）
+    stopClock();
+    const usedTime = Math.round(getElapsedSeconds());
     const isFirstTime = currentLevel > maxLevel; // 只有当前关卡大于最大已通关关卡时才是首次通关
-    const earnedBamboo = completeLevel(currentLevel, currentLevelBamboo, usedTime, isFirstTime);
+    if (isPlayTest) {
+      updateGameState({ isPlaying: false });
+    } else {
+      completeLevel(currentLevel, currentLevelBamboo, usedTime, isFirstTime);
+    }
     setShowModal('complete');
   };
 
   const handleGameOver = (reason) => {
+    updateGameState({ isPlaying: false });
+    // 试玩失败不能删掉玩家保存的对局
+    if (!isPlayTest) clearSavedGame();
     setShowModal('failed');
   };
 
-  // 寻找第一对可连接的瓦片
-  const findConnectablePair = (currentBoard) => {
-    // 收集所有非空瓦片
-    const tiles = [];
-    for (let row = 0; row < currentBoard.length; row++) {
-      for (let col = 0; col < currentBoard[0].length; col++) {
-        if (currentBoard[row][col]) {
-          tiles.push({
-            row,
-            col,
-            type: currentBoard[row][col]
-          });
-        }
-      }
-    }
-    
-    // 检查所有瓦片对
-    for (let i = 0; i < tiles.length; i++) {
-      for (let j = i + 1; j < tiles.length; j++) {
-        const tile1 = tiles[i];
-        const tile2 = tiles[j];
-        
-        // 只检查相同类型的瓦片
-        if (tile1.type === tile2.type) {
-          const pathResult = findPath(tile1, tile2, currentBoard);
-          if (pathResult.isValid) {
-            return { tile1, tile2, pathResult };
-          }
-        }
-      }
-    }
-    
-    return null; // 没有找到可连接的瓦片对
-  };
-
-  // 计算瓦片在屏幕上的位置
-  const getTileScreenPosition = (row, col) => {
-    // 动态计算棋盘的实际位置
-    const headerHeight = 64; // Header 高度（paddingVertical: 15 * 2 + 内容约34px）
-    const progressHeight = 80; // Progress Section 高度
-    const statsHeight = 50; // Game Stats 高度
-    const errorHeight = errorMessage ? 60 : 0; // Error Message 高度（如果显示）
-    const toolsHeight = 120; // Tools 高度
-    
-    // 计算可用于棋盘的空间
-    const { height: screenHeight, width: screenWidth } = Dimensions.get('window');
-    const safeAreaTop = 44; // 大概的安全区域顶部高度
-    const availableHeight = screenHeight - safeAreaTop - headerHeight - progressHeight - statsHeight - errorHeight - toolsHeight;
-    
-    // 棋盘容器的padding
-    const boardContainerPaddingX = 15;
-    const boardPadding = 8;
-    
-    // 计算棋盘尺寸
-    const [rows, cols] = GameUtils.getBoardDimensions(GameUtils.getLevelSize(currentLevel));
-    const tileSize = 32; // 单个瓦片大小
-    const tileMargin = 1; // 瓦片间距
-    const actualTileSize = tileSize + tileMargin * 2; // 包含间距的瓦片大小
-    
-    const boardWidth = cols * actualTileSize;
-    const boardHeight = rows * actualTileSize;
-    
-    // 计算棋盘在屏幕中的起始位置（相对于整个屏幕）
-    const boardStartY = safeAreaTop + headerHeight + progressHeight + statsHeight + errorHeight + 
-                       (availableHeight - boardHeight - boardPadding * 2) / 2 + boardPadding;
-    const boardStartX = (screenWidth - boardWidth) / 2 + boardPadding;
-    
-    return {
-      x: boardStartX + col * actualTileSize + actualTileSize / 2,
-      y: boardStartY + row * actualTileSize + actualTileSize / 2
-    };
-  };
-
   // 计算炸弹消除数量
   const getBombRemoveCount = (levelSize) => {
     if (levelSize === 20) return 2;      // 小关卡：2个瓦片
@@ -1147,12 +584,12 @@ export default function Game() {
   };
 
   // 随机选择要消除的瓦片对
-  const selectRandomTilesToRemove = (currentBoard, removeCount) => {
+  const selectRandomTilesToRemove = (currentBoard, removeCount, rng) => {
     // 统计每种瓦片的位置
     const tilesByType = {};
     for (let row = 0; row < currentBoard.length; row++) {
       for (let col = 0; col < currentBoard[0].length; col++) {
-        const tile = currentBoard[row][col];
+        const tile = kindOf(currentBoard[row][col]);
         if (tile) {
           if (!tilesByType[tile]) {
             tilesByType[tile] = [];
@@ -1175,10 +612,7 @@ export default function Game() {
     }
     
     // 洗牌可用的瓦片对
-    for (let i = availablePairs.length - 1; i > 0; i--) {
-      const j = Math.floor(Math.random() * (i + 1));
-      [availablePairs[i], availablePairs[j]] = [availablePairs[j], availablePairs[i]];
-    }
+    shuffleInPlace(availablePairs, rng);
     
     // 选择指定数量的瓦片对，确保总瓦片数不超过removeCount
     const selectedTiles = [];
@@ -1191,44 +625,77 @@ export default function Game() {
     return selectedTiles;
   };
 
+  // 提示要推荐的一对：智能提示推荐消除后仍能全部消除的一步；简单提示沿用行优先找到的第一对
+  const findHintPair = () => {
+    if (settings.hintMode === 'easy') {
+      return findConnectablePair(board, levelRules);
+    }
+    return findSmartHint(board, {
+      layoutType: GameUtils.getLevelLayout(currentLevel),
+      rules: levelRules,
+      matchCount: gameState.matchCount,
+      nodesPerMove: GAME_CONSTANTS.HINT_NODES_PER_MOVE
+    });
+  };
+
+  // 下一阶段提示的花费（已到最后一阶段时为 null）
+  const nextHintStage = activeHint ? activeHint.stage + 1 : 1;
+  const nextHintCost = GAME_CONSTANTS.HINT_STAGE_COSTS[nextHintStage - 1] ?? null;
+  const canUseHint = nextHintCost !== null && inventory.hint >= nextHintCost && timeRemaining > 0;
+  const canUseUndo = inventory.undo > 0 && gameState.moveHistory.length > 0 && timeRemaining > 0;
+
+  // 分阶段提示：先亮出一块，再亮出它的配对，最后画出连接路径；每阶段按比例消耗提示
+  const handleHint = () => {
+    if (!canUseHint) return;
+
+    const pair = activeHint || findHintPair();
+    if (!pair) {
+      showErrorTip('No connectable tiles~');
+      return;
+    }
+    if (!consumeTool('hint', nextHintCost)) return;
+    logMove({ type: 'hint' });
+
+    const { tile1, tile2 } = pair;
+    const isLastStage = nextHintStage === GAME_CONSTANTS.HINT_STAGE_COSTS.length;
+    setActiveHint({
+      tile1: { row: tile1.row, col: tile1.col },
+      tile2: { row: tile2.row, col: tile2.col },
+      stage: nextHintStage,
+      path: isLastStage ? findPath(board, tile1, tile2, levelRules).path : null
+    });
+  };
+
   const handleUseTool = (toolType) => {
-    // 时间结束后不能使用工具
-    if (timeRemaining <= 0) return;
+    // 时间结束后、连线动画或炸弹期间不能使用工具
+    if (timeRemaining <= 0 || matchAnimation || isBombing) return;
+    if (toolType === 'hint') {
+      handleHint();
+      return;
+    }
+    if (toolType === 'undo') {
+      handleUndo();
+      return;
+    }
     
-    const success = useTool(toolType);
+    const success = consumeTool(toolType);
     if (!success) return;
 
     switch (toolType) {
-      case 'hint':
-        // 寻找可连接的瓦片对并高亮显示
-        const connectablePair = findConnectablePair(board);
-        if (connectablePair) {
-          const { tile1, tile2 } = connectablePair;
-          setHintedTiles([
-            { row: tile1.row, col: tile1.col },
-            { row: tile2.row, col: tile2.col }
-          ]);
-          
-          // 3秒后清除高亮
-          setTimeout(() => {
-            setHintedTiles([]);
-          }, 3000);
-        } else {
-          // No connectable pairs found - could add visual feedback here if needed
-        }
-        break;
-        
       case 'bomb':
         // 计算要消除的瓦片数量
         const currentSize = GameUtils.getLevelSize(currentLevel);
         const removeCount = getBombRemoveCount(currentSize);
 
         // 在消除前尝试选择"保证消除后可解"的目标集合
-        const tilesToRemove = selectBombTargetsEnsuringSolvable(board, removeCount) || selectRandomTilesToRemove(board, removeCount);
+        const tilesToRemove = withRandom(rng =>
+          selectBombTargetsEnsuringSolvable(board, removeCount, rng) || selectRandomTilesToRemove(board, removeCount, rng)
+        );
 
         if (tilesToRemove.length > 0) {
           // 先标记目标瓦片：底部红色指示条
           setBombTargetTiles(tilesToRemove);
+          setIsBombing(true);
 
           // 稍作停留，让用户看清标记，然后发射火花
           setTimeout(() => {
@@ -1260,55 +727,41 @@ export default function Game() {
         break;
         
       case 'shuffle':
-        // 收集所有剩余瓦片
-        const remainingTiles = [];
-        board.forEach(row => {
-          row.forEach(tile => {
-            if (tile) remainingTiles.push(tile);
-          });
-        });
+        // 洗牌并应用当前布局重力，优先选择可以全部消除的排列
+        logMove({ type: 'shuffle' });
+        const shuffledBoard = withRandom(rng => shuffleUntilSolvable(board, rng));
         
-        // 洗牌
-        for (let i = remainingTiles.length - 1; i > 0; i--) {
-          const j = Math.floor(Math.random() * (i + 1));
-          [remainingTiles[i], remainingTiles[j]] = [remainingTiles[j], remainingTiles[i]];
-        }
-        
-        // 重新填充棋盘
-        let shuffledBoard = board.map(row => row.map(() => ''));
-        let tileIndex = 0;
-        
-        for (let row = 0; row < shuffledBoard.length; row++) {
-          for (let col = 0; col < shuffledBoard[0].length; col++) {
-            if (tileIndex < remainingTiles.length) {
-              shuffledBoard[row][col] = remainingTiles[tileIndex];
-              tileIndex++;
-            }
-          }
-        }
-        
-        // Apply current layout gravity after shuffle
-        const currentLayout = GameUtils.getLevelLayout(currentLevel);
-        shuffledBoard = applyGravityEffect(shuffledBoard, currentLayout);
-        
-        useGameStore.setState({
-          gameState: {
-            ...gameState,
-            board: shuffledBoard,
-            timeRemaining: timeRemaining + 3
-          }
+        // 洗牌和炸弹之后不能再撤销之前的消除
+        updateGameState({
+          board: shuffledBoard,
+          moveHistory: []
         });
+        addTime(3);
         break;
     }
   };
 
+  // 撤销上一次消除：恢复棋盘、选中的瓦片、时间和本关竹子（没有可撤销的消除时不消耗道具）
+  const handleUndo = () => {
+    if (gameState.moveHistory.length === 0) {
+      showErrorTip('Nothing to undo~');
+      return;
+    }
+    if (!consumeTool('undo')) return;
+
+    logMove({ type: 'undo' });
+    setSelectedTiles(undoLastMove());
+    setActiveHint(null);
+    playSound('tap');
+  };
+
   // 在移除前通过模拟重力来验证"消除后可解"，尽可能选择安全目标对
-  const selectBombTargetsEnsuringSolvable = (currentBoard, removeCount, maxAttempts = 50) => {
+  const selectBombTargetsEnsuringSolvable = (currentBoard, removeCount, rng, maxAttempts = 50) => {
     // 统计每种瓦片的位置
     const tilesByType = {};
     for (let row = 0; row < currentBoard.length; row++) {
       for (let col = 0; col < currentBoard[0].length; col++) {
-        const tile = currentBoard[row][col];
+        const tile = kindOf(currentBoard[row][col]);
         if (tile) {
           if (!tilesByType[tile]) {
             tilesByType[tile] = [];
@@ -1337,10 +790,7 @@ export default function Game() {
     for (let attempt = 0; attempt < maxAttempts; attempt++) {
       // 洗牌可用的瓦片对
       const shuffledPairs = [...availablePairs];
-      for (let i = shuffledPairs.length - 1; i > 0; i--) {
-        const j = Math.floor(Math.random() * (i + 1));
-        [shuffledPairs[i], shuffledPairs[j]] = [shuffledPairs[j], shuffledPairs[i]];
-      }
+      shuffleInPlace(shuffledPairs, rng);
       
       // 选择指定数量的瓦片对
       const selectedTiles = [];
@@ -1349,33 +799,22 @@ export default function Game() {
       }
       
       const simulated = simulateRemovalAndGravity(currentBoard, selectedTiles);
-      if (isBoardSolvable(simulated)) {
+      if (hasAvailableMove(simulated)) {
         return selectedTiles;
       }
     }
     return null; // 没找到保证可解的集合
   };
 
-  const selectRandomSubset = (arr, k) => {
-    if (k <= 0) return [];
-    const copy = [...arr];
-    // 洗牌
-    for (let i = copy.length - 1; i > 0; i--) {
-      const j = Math.floor(Math.random() * (i + 1));
-      [copy[i], copy[j]] = [copy[j], copy[i]];
-    }
-    return copy.slice(0, Math.min(k, copy.length));
-  };
-
   const simulateRemovalAndGravity = (sourceBoard, targets) => {
     let tempBoard = sourceBoard.map(row => [...row]);
     targets.forEach(t => {
       if (tempBoard[t.row] && typeof tempBoard[t.row][t.col] !== 'undefined') {
-        tempBoard[t.row][t.col] = '';
+        tempBoard[t.row][t.col] = revealBelow(tempBoard[t.row][t.col]);
       }
     });
     const currentLayout = GameUtils.getLevelLayout(currentLevel);
-    const finalBoard = applyGravityEffect(tempBoard, currentLayout);
+    const finalBoard = applyGravityEffect(tempBoard, currentLayout, gameState.matchCount);
     return finalBoard;
   };
 
@@ -1383,33 +822,23 @@ export default function Game() {
   const executeBombDestruction = (targets) => {
     // 短暂停留让用户看清目标
     setTimeout(() => {
-      // 消除所有目标瓦片
-      let newBoard = board.map(row => [...row]);
-      targets.forEach(target => {
-        newBoard[target.row][target.col] = '';
-      });
-      
       // 清除炸弹目标高亮
       setBombTargetTiles([]);
       
       // 延迟应用重力效果，让用户看到消除过程
       setTimeout(() => {
-        // 应用重力效果
-        const currentLayout = GameUtils.getLevelLayout(currentLevel);
-        let finalBoard = applyGravityEffect(newBoard, currentLayout);
+        // 消除所有目标瓦片并应用重力效果
+        logMove({ type: 'bomb', cells: packCells(targets) });
+        let finalBoard = removeTilesAndSettle(targets);
         
         // 若出现死局，自动洗牌直到可解（不消耗洗牌道具）
-        if (isDeadlocked(finalBoard)) {
-          finalBoard = shuffleUntilSolvable(finalBoard, 25);
+        if (isDeadlocked(finalBoard, levelRules)) {
+          finalBoard = withRandom(rng => shuffleUntilSolvable(finalBoard, rng, BOMB_RESHUFFLE_TRIES));
         }
 
         // 更新棋盘
-        useGameStore.setState({
-          gameState: {
-            ...gameState,
-            board: finalBoard
-          }
-        });
+        updateGameState({ board: finalBoard, moveHistory: [] });
+        setIsBombing(false);
         
         playSound('success');
         vibrate('light'); // 轻柔震动表示洗牌成功
@@ -1422,38 +851,16 @@ export default function Game() {
     }, 500); // 火花停留500ms
   };
 
-  // 内部洗牌，直到可解或达到尝试上限（不改变时间与道具）
-  const shuffleUntilSolvable = (currentBoard, maxTries = 30) => {
-    const flatten = [];
-    currentBoard.forEach(row => row.forEach(tile => { if (tile) flatten.push(tile); }));
-
-    for (let attempt = 0; attempt < maxTries; attempt++) {
-      // 洗牌
-      for (let i = flatten.length - 1; i > 0; i--) {
-        const j = Math.floor(Math.random() * (i + 1));
-        [flatten[i], flatten[j]] = [flatten[j], flatten[i]];
-      }
-
-      // 回填
-      let idx = 0;
-      const shuffled = currentBoard.map(row => row.map(cell => ''));
-      for (let r = 0; r < shuffled.length; r++) {
-        for (let c = 0; c < shuffled[0].length; c++) {
-          if (idx < flatten.length) {
-            shuffled[r][c] = flatten[idx++];
-          }
-        }
-      }
-
-      // 应用当前布局重力
-      const layout = GameUtils.getLevelLayout(currentLevel);
-      const afterGravity = applyGravityEffect(shuffled, layout);
-      if (isBoardSolvable(afterGravity)) {
-        return afterGravity;
-      }
-    }
-    return currentBoard; // 放弃改善，返回原局面
-  };
+  // 内部洗牌，直到可以全部消除或达到尝试上限（不改变时间与道具）
+  // 只打乱露出的瓦片：叠放的格子留在原处，换上新的露出瓦片
+  const shuffleUntilSolvable = (currentBoard, rng, maxTries = 30) => shuffleExposedTiles(currentBoard, {
+    layoutType: GameUtils.getLevelLayout(currentLevel),
+    rules: levelRules,
+    rng,
+    maxTries,
+    maxNodes: GAME_CONSTANTS.SOLVER_NODE_BUDGET,
+    matchCount: gameState.matchCount
+  });
 
   const playSound = async (type) => {
     if (!settings.sfxOn) return;
@@ -1542,8 +949,7 @@ export default function Game() {
   // 动态计算棋盘尺寸配置
   const boardMetrics = useMemo(() => {
     // 获取当前关卡的棋盘尺寸
-    const levelSize = GameUtils.getLevelSize(currentLevel);
-    const [rows, cols] = GameUtils.getBoardDimensions(levelSize);
+    const [rows, cols] = GameUtils.getLevelDimensions(currentLevel);
 
     // 计算可用空间（使用实际测量的高度，如果还没测量则用估计值）
     const totalUIHeight = (
@@ -1619,41 +1025,115 @@ export default function Game() {
 
   const tileConfig = boardMetrics;
 
+  // 格子中心在棋盘视图内的坐标；外圈（-1 / rows / cols）落在棋盘内边距中
+  const getCellCenter = (row, col) => {
+    const { tileSize, margin, boardPadding, rows, cols } = boardMetrics;
+    const cellSize = tileSize + 2 * margin;
+    const axis = (index, count) => {
+      if (index < 0) return boardPadding / 2;
+      if (index >= count) return boardPadding + count * cellSize + boardPadding / 2;
+      return boardPadding + index * cellSize + cellSize / 2;
+    };
+    return { x: axis(col, cols), y: axis(row, rows) };
+  };
+
+  // 格子中心在窗口中的坐标
+  const getTileScreenPosition = (row, col) => {
+    const center = getCellCenter(row, col);
+    return { x: boardOrigin.x + center.x, y: boardOrigin.y + center.y };
+  };
+
+  const dynamicTileStyle = {
+    width: tileConfig.tileSize,
+    height: tileConfig.tileSize,
+    margin: tileConfig.margin,
+    borderRadius: tileConfig.borderRadius,
+  };
+
+  const dynamicEmojiStyle = {
+    fontSize: tileConfig.emojiFontSize,
+  };
+
+  // 底层格子：始终按网格排列，瓦片浮在其上；形状之外的格子不显示（HOLE）或显示为墙（WALL）
+  const renderCell = (cell, row, col) => (
+    <View
+      key={`${row}-${col}`}
+      style={[
+        styles.emptyTile,
+        dynamicTileStyle,
+        cell === HOLE && styles.holeCell,
+        cell === WALL && styles.wallCell
+      ]}
+    />
+  );
+
+  // 障碍物：不能选中，受过敲击的岩石显示为半透明
+  const renderObstacle = (tile, row, col) => {
+    const cellSize = tileConfig.tileSize + 2 * tileConfig.margin;
+    const center = getCellCenter(row, col);
+    const { obstacle, hits } = tile.flags;
+
+    return (
+      <BoardTile
+        key={tile.id}
+        tile={GAME_CONSTANTS.OBSTACLE_EMOJI[obstacle]}
+        x={center.x - cellSize / 2}
+        y={center.y - cellSize / 2}
+        tileStyle={[
+          styles.tile,
+          dynamicTileStyle,
+          styles.obstacleTile,
+          hits < OBSTACLE_TYPES[obstacle].hits && styles.crackedObstacle
+        ]}
+        emojiStyle={[styles.tileEmoji, dynamicEmojiStyle]}
+        disabled
+        duration={GAME_CONSTANTS.GRAVITY_SLIDE_DURATION}
+      />
+    );
+  };
+
+  // 特殊瓦片右上角的角标：锁链、加时、倒计时剩余步数、叠放层数
+  const getTileBadge = (tile) => {
+    if (isLocked(tile)) return '🔒';
+    const special = specialOf(tile);
+    if (special === 'bonus') return `+${GAME_CONSTANTS.BONUS_TILE_SECONDS}s`;
+    if (special === 'countdown') return String(tile.flags.movesLeft);
+    const depth = stackDepth(tile);
+    return depth > 1 ? `×${depth}` : null;
+  };
+
+  // 瓦片按 id 作为 key，重力移动时同一组件从旧格子滑到新格子
   const renderTile = (tile, row, col) => {
     const isSelected = selectedTiles.some(t => t.row === row && t.col === col);
     const isHinted = hintedTiles.some(t => t.row === row && t.col === col);
     const isBombTarget = bombTargetTiles.some(t => t.row === row && t.col === col);
-    const isEmpty = !tile;
+    const cellSize = tileConfig.tileSize + 2 * tileConfig.margin;
+    const center = getCellCenter(row, col);
 
-    const dynamicTileStyle = {
-      width: tileConfig.tileSize,
-      height: tileConfig.tileSize,
-      margin: tileConfig.margin,
-      borderRadius: tileConfig.borderRadius,
-    };
-
-    const dynamicEmojiStyle = {
-      fontSize: tileConfig.emojiFontSize,
-    };
-
-    if (isEmpty) {
-      return <View key={`${row}-${col}`} style={[styles.emptyTile, dynamicTileStyle]} />;
-    }
+    const special = specialOf(tile);
 
     return (
-      <TouchableOpacity
-        key={`${row}-${col}`}
-        style={[
+      <BoardTile
+        key={tile.id}
+        tile={isWildcard(tile) ? GAME_CONSTANTS.WILDCARD_EMOJI : tile.kind}
+        badge={getTileBadge(tile)}
+        x={center.x - cellSize / 2}
+        y={center.y - cellSize / 2}
+        tileStyle={[
           styles.tile,
           dynamicTileStyle,
           isSelected && styles.selectedTile,
           isHinted && styles.hintedTile,
-          isBombTarget && styles.bombTargetTile
+          isBombTarget && styles.bombTargetTile,
+          belowOf(tile) && styles.stackedTile,
+          isLocked(tile) && styles.lockedTile,
+          special === 'wildcard' && styles.wildcardTile,
+          special === 'countdown' && styles.countdownTile
         ]}
+        emojiStyle={[styles.tileEmoji, dynamicEmojiStyle]}
         onPress={() => handleTilePress(row, col)}
-      >
-        <Text style={[styles.tileEmoji, dynamicEmojiStyle]}>{tile}</Text>
-      </TouchableOpacity>
+        duration={GAME_CONSTANTS.GRAVITY_SLIDE_DURATION}
+      />
     );
   };
 
@@ -1671,8 +1151,8 @@ export default function Game() {
               </Text>
               <Text style={styles.tutorialMessage}>
                 {tutorialStep === 1
-                  ? 'Welcome to Link! 🎋\nMatch two identical tiles with no more than 2 turns to clear them.'
-                  : 'Tap two identical tiles to connect them.\nPaths can go around the board edges if needed.'}
+                  ? `Welcome to Link! 🎋\nMatch two identical tiles with no more than ${levelRules.maxTurns} turns to clear them.`
+                  : `Tap two identical tiles to connect them.${levelRules.allowOuterRing ? '\nPaths can go around the board edges if needed.' : ''}`}
               </Text>
               <View style={styles.tutorialButtons}>
                 {tutorialStep === 1 ? (
@@ -1703,6 +1183,16 @@ export default function Game() {
             content: (
               <View style={styles.pauseContent}>
                 <Text style={styles.pauseText}>Take a break!</Text>
+
+                {gameState.seed !== null && (
+                  <View style={styles.seedRow}>
+                    <Text style={styles.seedLabel}>Board Seed</Text>
+                    <Text style={styles.seedValue} selectable>{formatSeed(gameState.seed)}</Text>
+                    <TouchableOpacity style={styles.seedShareButton} onPress={handleShareSeed}>
+                      <MaterialIcons name="share" size={20} color="#5A8F7B" />
+                    </TouchableOpacity>
+                  </View>
+                )}
                 
                 <View style={styles.settingsSection}>
                   <Text style={styles.settingsTitle}>Settings</Text>
@@ -1742,6 +1232,7 @@ export default function Game() {
             buttons: [
               { text: 'Resume', onPress: () => setShowModal(null), style: 'primary' },
               { text: 'Restart', onPress: handleRestart, style: 'secondary' },
+              { text: 'Replay Board', onPress: handleReplayBoard, style: 'secondary' },
             ]
           };
         case 'home':
@@ -1751,19 +1242,25 @@ export default function Game() {
             buttons: [
               { text: 'Resume', onPress: () => setShowModal(null), style: 'primary' },
               { text: 'Restart', onPress: handleRestart, style: 'secondary' },
-              { text: 'Home', onPress: () => router.replace('/'), style: 'secondary' },
+              { text: exitLabel, onPress: handleExit, style: 'secondary' },
             ]
           };
         case 'complete':
           const isFirstTime = currentLevel > maxLevel;
+          const stars = GameUtils.calculateStars(currentLevel, getRemainingSeconds());
           return {
             title: '🎉 Level Complete!',
-            content: isFirstTime 
-              ? `Congratulations! You earned ${currentLevelBamboo} bamboo!`
-              : `Level completed! (No bamboo for replay)`,
+            content: `${'⭐'.repeat(stars)}${'☆'.repeat(3 - stars)}\n` + (isPlayTest
+              ? 'Play-test cleared!'
+              : isFirstTime
+                ? `Congratulations! You earned ${currentLevelBamboo} bamboo!`
+                : `Level completed! (No bamboo for replay)`),
             buttons: [
-              { text: 'Next Level', onPress: () => router.replace('/game'), style: 'primary' },
-              { text: 'Home', onPress: () => router.replace('/'), style: 'secondary' },
+              isPlayTest
+                ? { text: 'Restart', onPress: handleRestart, style: 'primary' }
+                : { text: 'Next Level', onPress: () => router.replace('/game'), style: 'primary' },
+              { text: 'Watch Replay', onPress: handleWatchReplay, style: 'secondary' },
+              { text: exitLabel, onPress: handleExit, style: 'secondary' },
             ]
           };
         case 'failed':
@@ -1772,18 +1269,23 @@ export default function Game() {
             content: 'Time\'s up or no hearts left!',
             buttons: [
               { text: 'Restart', onPress: handleRestart, style: 'primary' },
-              { text: 'Home', onPress: () => router.replace('/'), style: 'secondary' },
+              { text: 'Watch Replay', onPress: handleWatchReplay, style: 'secondary' },
+              { text: exitLabel, onPress: handleExit, style: 'secondary' },
             ]
           };
         case 'deadlock':
           return {
             title: 'No Valid Moves!',
-            content: 'Use Shuffle tool or restart the level',
+            content: hasAvailableMove(board)
+              ? 'The remaining tiles can no longer all be cleared. Use Shuffle tool or restart the level'
+              : 'Use Shuffle tool or restart the level',
             buttons: [
               { text: 'View Board', onPress: () => setShowModal('view-deadlock'), style: 'secondary' },
               { text: `Use Shuffle (${inventory.shuffle})`, onPress: () => { handleUseTool('shuffle'); setShowModal(null); }, style: 'primary', disabled: inventory.shuffle === 0 },
+              // 死局由上一次消除造成时，撤销它也能脱困
+              ...(canUseUndo ? [{ text: `Undo Last Match (${inventory.undo})`, onPress: () => { handleUndo(); setShowModal(null); }, style: 'secondary' }] : []),
               { text: 'Restart', onPress: handleRestart, style: 'secondary' },
-              { text: 'Home', onPress: () => router.replace('/'), style: 'secondary' },
+              { text: exitLabel, onPress: handleExit, style: 'secondary' },
             ]
           };
         case 'view-deadlock':
@@ -1931,11 +1433,11 @@ export default function Game() {
           </TouchableOpacity>
 
           <View style={styles.headerCenter}>
-            <Text style={styles.levelTitle}>Level {currentLevel}</Text>
+            <Text style={styles.levelTitle}>{isPlayTest ? 'Play Test' : `Level ${currentLevel}`}</Text>
             {gravityModeInfo.arrow && (
               <View style={styles.gravityBadge}>
                 <Text style={styles.gravityBadgeText}>
-                  Gravity: {GameUtils.getLevelLayout(currentLevel)} {gravityModeInfo.arrow === '←' ? '(Tiles slide ←)' : gravityModeInfo.arrow === '↓' ? '(Tiles fall ↓)' : gravityModeInfo.arrow === '↔' ? '(← →)' : `(${gravityModeInfo.arrow})`}
+                  Gravity: {getLayoutName(GameUtils.getLevelLayout(currentLevel))} {gravityModeInfo.nextArrow ? `(next ${gravityModeInfo.nextArrow})` : gravityModeInfo.arrow === '←' ? '(Tiles slide ←)' : gravityModeInfo.arrow === '↓' ? '(Tiles fall ↓)' : gravityModeInfo.arrow === '↔' ? '(← →)' : `(${gravityModeInfo.arrow})`}
                 </Text>
               </View>
             )}
@@ -1998,14 +1500,54 @@ export default function Game() {
 
         {/* Game Board */}
         <View style={styles.boardContainer}>
-          <View style={[styles.board, { padding: tileConfig.boardPadding }]}>
+          <View
+            ref={boardRef}
+            onLayout={handleBoardLayout}
+            style={[styles.board, { padding: tileConfig.boardPadding }]}
+          >
             {board.map((row, rowIndex) => (
               <View key={rowIndex} style={styles.row}>
-                {row.map((tile, colIndex) => 
-                  renderTile(tile, rowIndex, colIndex)
-                )}
+                {row.map((tile, colIndex) => renderCell(tile, rowIndex, colIndex))}
               </View>
             ))}
+
+            {board.flatMap((row, rowIndex) =>
+              row.map((tile, colIndex) => {
+                if (isObstacle(tile)) return renderObstacle(tile, rowIndex, colIndex);
+                return kindOf(tile) ? renderTile(tile, rowIndex, colIndex) : null;
+              })
+            )}
+
+            {/* 消除连线：沿实际路径经过拐角（含外圈）画出 */}
+            {matchAnimation && (
+              <ConnectionLine
+                key={matchAnimation.id}
+                startPosition={getCellCenter(matchAnimation.tile1.row, matchAnimation.tile1.col)}
+                endPosition={getCellCenter(matchAnimation.tile2.row, matchAnimation.tile2.col)}
+                pathPoints={getPathCorners(matchAnimation.tile1, matchAnimation.pathResult.path, matchAnimation.tile2)
+                  .map(cell => getCellCenter(cell.row, cell.col))}
+                onAnimationComplete={() => handleMatchAnimationComplete(
+                  matchAnimation.tile1,
+                  matchAnimation.tile2,
+                  matchAnimation.pathResult
+                )}
+                duration={GAME_CONSTANTS.MATCH_LINE_DURATION}
+                tileSize={tileConfig.tileSize}
+              />
+            )}
+
+            {/* 第三阶段提示：画出连接路径 */}
+            {activeHint?.path && (
+              <ConnectionLine
+                key={`hint-${activeHint.tile1.row}-${activeHint.tile1.col}`}
+                startPosition={getCellCenter(activeHint.tile1.row, activeHint.tile1.col)}
+                endPosition={getCellCenter(activeHint.tile2.row, activeHint.tile2.col)}
+                pathPoints={getPathCorners(activeHint.tile1, activeHint.path, activeHint.tile2)
+                  .map(cell => getCellCenter(cell.row, cell.col))}
+                duration={400}
+                tileSize={tileConfig.tileSize}
+              />
+            )}
           </View>
         </View>
 
@@ -2026,17 +1568,21 @@ export default function Game() {
           </TouchableOpacity>
           
           <TouchableOpacity
-            style={[styles.toolButton, (inventory.hint === 0 || timeRemaining <= 0) && styles.toolButtonDisabled]}
+            style={[styles.toolButton, !canUseHint && styles.toolButtonDisabled]}
             onPress={() => handleUseTool('hint')}
-            disabled={inventory.hint === 0 || timeRemaining <= 0}
+            disabled={!canUseHint}
           >
             <Image 
               source={require('../assets/images/lighttab.png')}
               style={styles.toolIconImage}
             />
             <View style={styles.toolBadge}>
-              <Text style={styles.toolCount}>{inventory.hint}</Text>
+              <Text style={styles.toolCount}>{GameUtils.formatToolCount(inventory.hint)}</Text>
             </View>
+            {/* 下一阶段提示的消耗 */}
+            {nextHintCost !== null && (
+              <Text style={styles.toolCost}>-{GameUtils.formatToolCount(nextHintCost)}</Text>
+            )}
           </TouchableOpacity>
           
           <TouchableOpacity
@@ -2052,6 +1598,19 @@ export default function Game() {
               <Text style={styles.toolCount}>{inventory.shuffle}</Text>
             </View>
           </TouchableOpacity>
+
+          <TouchableOpacity
+            style={[styles.toolButton, !canUseUndo && styles.toolButtonDisabled]}
+            onPress={() => handleUseTool('undo')}
+            disabled={!canUseUndo}
+          >
+            <View style={styles.undoIcon}>
+              <MaterialIcons name="undo" size={40} color="#FFF" />
+            </View>
+            <View style={styles.toolBadge}>
+              <Text style={styles.toolCount}>{inventory.undo}</Text>
+            </View>
+          </TouchableOpacity>
         </View>
       </SafeAreaView>
       </ImageBackground>
@@ -2242,6 +1801,27 @@ const styles = StyleSheet.create({
     shadowRadius: 8,
     elevation: 8,
   },
+  obstacleTile: {
+    backgroundColor: '#D7CCC8',
+    borderColor: '#A1887F',
+  },
+  crackedObstacle: {
+    opacity: 0.6,
+  },
+  stackedTile: {
+    borderBottomWidth: 5,
+    borderBottomColor: '#BCAAA4',
+  },
+  lockedTile: {
+    backgroundColor: '#CFD8DC',
+    borderColor: '#78909C',
+  },
+  wildcardTile: {
+    borderColor: '#AB47BC',
+  },
+  countdownTile: {
+    borderColor: '#E53935',
+  },
   bombTargetTile: {
     backgroundColor: '#FFAB91',
     borderColor: '#FF5722',
@@ -2253,6 +1833,13 @@ const styles = StyleSheet.create({
   },
   emptyTile: {
   },
+  holeCell: {
+    opacity: 0,
+  },
+  wallCell: {
+    backgroundColor: '#8D8D8D',
+    borderRadius: 4,
+  },
   tileEmoji: {
   },
   toolsContainer: {
@@ -2260,13 +1847,13 @@ const styles = StyleSheet.create({
     justifyContent: 'center',
     paddingHorizontal: 20,
     paddingVertical: 20,
-    gap: 40,
+    gap: 16,
     zIndex: 1000,
   },
   toolButton: {
     backgroundColor: 'transparent',
-    width: 80,
-    height: 80,
+    width: 70,
+    height: 70,
     borderRadius: 20,
     justifyContent: 'center',
     alignItems: 'center',
@@ -2280,11 +1867,19 @@ const styles = StyleSheet.create({
     fontSize: 28,
   },
   toolIconImage: {
-    width: 70,
-    height: 70,
+    width: 62,
+    height: 62,
     resizeMode: 'contain',
     opacity: 1,
   },
+  undoIcon: {
+    width: 56,
+    height: 56,
+    borderRadius: 28,
+    backgroundColor: '#03A9F4',
+    justifyContent: 'center',
+    alignItems: 'center',
+  },
   toolBadge: {
     position: 'absolute',
     top: -5,
@@ -2301,6 +1896,13 @@ const styles = StyleSheet.create({
     fontSize: 12,
     fontWeight: 'bold',
   },
+  toolCost: {
+    position: 'absolute',
+    bottom: -4,
+    color: '#FFC107',
+    fontSize: 11,
+    fontWeight: 'bold',
+  },
   modalOverlay: {
     flex: 1,
     backgroundColor: 'rgba(0,0,0,0.5)',
@@ -2451,6 +2053,30 @@ const styles = StyleSheet.create({
     textAlign: 'center',
     marginBottom: 20,
   },
+  seedRow: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    paddingVertical: 8,
+    paddingHorizontal: 16,
+    backgroundColor: '#F5F5F5',
+    borderRadius: 8,
+    marginBottom: 20,
+  },
+  seedLabel: {
+    fontSize: 14,
+    color: '#666',
+    marginRight: 10,
+  },
+  seedValue: {
+    fontSize: 16,
+    fontWeight: 'bold',
+    color: '#333',
+    letterSpacing: 1,
+  },
+  seedShareButton: {
+    marginLeft: 10,
+    padding: 4,
+  },
   settingsSection: {
     width: '100%',
     marginBottom: 20,
@@ -13,7 +13,7 @@ import { MaterialIcons } from '@expo/vector-icons';
 import useGameStore from '../store/gameStore';
 
 export default function HomeScreen() {
-  const { bambooBalance, currentLevel, startLevel } = useGameStore();
+  const { bambooBalance, currentLevel, startLevel, savedGame, resumeSavedGame } = useGameStore();
 
   const handlePlayPress = () => {
     // 重新开始当前关卡
@@ -21,6 +21,13 @@ export default function HomeScreen() {
     router.push('/game');
   };
 
+  // 继续上次未完成的对局
+  const handleContinuePress = () => {
+    if (resumeSavedGame()) {
+      router.push('/game');
+    }
+  };
+
   const handleShopPress = () => {
     router.push('/shop');
   };
@@ -29,6 +36,10 @@ export default function HomeScreen() {
     router.push('/settings');
   };
 
+  const handleEditorPress = () => {
+    router.push('/editor');
+  };
+
   return (
     <SafeAreaView style={styles.container}>
       <ImageBackground
@@ -47,11 +58,23 @@ export default function HomeScreen() {
           <Text style={styles.title}>Linker</Text>
           <Text style={styles.subtitle}>Tap, match, and relax!</Text>
 
-          {/* Play Button */}
-          <TouchableOpacity style={styles.playButton} onPress={handlePlayPress}>
-            <MaterialIcons name="play-arrow" size={32} color="white" />
-            <Text style={styles.playButtonText}>PLAY</Text>
-          </TouchableOpacity>
+          {/* Play Button（有未完成的对局时优先继续） */}
+          {savedGame ? (
+            <>
+              <TouchableOpacity style={styles.playButton} onPress={handleContinuePress}>
+                <MaterialIcons name="play-arrow" size={32} color="white" />
+                <Text style={styles.playButtonText}>Continue Level {savedGame.level}</Text>
+              </TouchableOpacity>
+              <TouchableOpacity style={styles.newGameButton} onPress={handlePlayPress}>
+                <Text style={styles.newGameButtonText}>New Game: Level {currentLevel}</Text>
+              </TouchableOpacity>
+            </>
+          ) : (
+            <TouchableOpacity style={styles.playButton} onPress={handlePlayPress}>
+              <MaterialIcons name="play-arrow" size={32} color="white" />
+              <Text style={styles.playButtonText}>PLAY</Text>
+            </TouchableOpacity>
+          )}
 
           {/* Menu Buttons */}
           <View style={styles.menuButtons}>
@@ -64,6 +87,11 @@ export default function HomeScreen() {
               <MaterialIcons name="settings" size={28} color="#4ECDC4" />
               <Text style={styles.menuButtonText}>Settings</Text>
             </TouchableOpacity>
+
+            <TouchableOpacity style={styles.menuButton} onPress={handleEditorPress}>
+              <MaterialIcons name="grid-on" size={28} color="#4ECDC4" />
+              <Text style={styles.menuButtonText}>Editor</Text>
+            </TouchableOpacity>
           </View>
         </View>
 
@@ -167,6 +195,18 @@ const styles = StyleSheet.create({
     fontSize: 24,
     fontWeight: 'bold',
   },
+  newGameButton: {
+    marginTop: -18,
+    marginBottom: 24,
+    paddingVertical: 6,
+    paddingHorizontal: 16,
+  },
+  newGameButtonText: {
+    color: '#228B22',
+    fontSize: 16,
+    fontWeight: '600',
+    textDecorationLine: 'underline',
+  },
   menuButtons: {
     flexDirection: 'row',
     gap: 20,
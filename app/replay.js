@@ -0,0 +1,378 @@
+/**
+ * Replay Screen - Level attempt playback
+ * Purpose: Rebuild the last attempt from its move log and play it back step by step with the game's gravity and animations
+ */
+
+import React, { useEffect, useMemo, useState } from 'react';
+import {
+  View,
+  Text,
+  StyleSheet,
+  TouchableOpacity,
+  SafeAreaView,
+  useWindowDimensions
+} from 'react-native';
+import { router } from 'expo-router';
+import { MaterialIcons } from '@expo/vector-icons';
+import useGameStore, { GAME_CONSTANTS, GameUtils } from '../store/gameStore';
+import BoardTile from '../components/BoardTile';
+import ConnectionLine from '../components/ConnectionLine';
+import { createRng } from '../engine/random';
+import { HOLE, WALL, kindOf, toTileGrid } from '../engine/tiles';
+import { isObstacle } from '../engine/obstacles';
+import { isLocked, isWildcard, specialOf } from '../engine/specials';
+import { stackDepth } from '../engine/layers';
+import { getPathCorners } from '../engine/pathfinder';
+import { buildReplayFrames, unpackCells } from '../engine/replay';
+
+const MOVE_LABELS = {
+  match: 'Match',
+  miss: 'Wrong pair -1 ❤️',
+  bomb: 'Bomb',
+  shuffle: 'Shuffle',
+  undo: 'Undo',
+  hint: 'Hint'
+};
+
+const formatTime = (milliseconds) => {
+  const seconds = Math.floor(milliseconds / 1000);
+  return `${Math.floor(seconds / 60)}:${(seconds % 60).toString().padStart(2, '0')}`;
+};
+
+// 瓦片角标（与游戏画面一致）：锁链、倒计时、叠放层数
+const getTileBadge = (tile) => {
+  if (isLocked(tile)) return '🔒';
+  if (specialOf(tile) === 'countdown') return String(tile.flags.movesLeft);
+  const depth = stackDepth(tile);
+  return depth > 1 ? `×${depth}` : null;
+};
+
+export default function Replay() {
+  const generateGameBoard = useGameStore((state) => state.generateGameBoard);
+  const { width } = useWindowDimensions();
+
+  // 进入时取当前这次尝试的记录，之后的新对局不影响正在看的回放
+  const [moveLog] = useState(() => useGameStore.getState().gameState.moveLog);
+  const [index, setIndex] = useState(0);
+  const [playing, setPlaying] = useState(false);
+  const [line, setLine] = useState(null); // 正在画的消除连线 { target, tile1, tile2, points }
+
+  // 用同一种子重新生成开局棋盘，再依次重演每一步
+  const frames = useMemo(() => {
+    if (!moveLog) return [];
+    const { board } = generateGameBoard(moveLog.level, createRng(moveLog.seed));
+    return buildReplayFrames(toTileGrid(board), moveLog.moves, {
+      layoutType: moveLog.layout,
+      rules: GameUtils.getLevelRules(moveLog.level),
+      maxNodes: GAME_CONSTANTS.SOLVER_NODE_BUDGET
+    });
+  }, [moveLog]);
+
+  const lastIndex = frames.length - 1;
+  const frame = frames[index];
+  const board = frame ? frame.board : [];
+  const rows = board.length;
+  const cols = rows > 0 ? board[0].length : 0;
+  const cellSize = cols > 0 ? Math.min(48, Math.floor((width - 40) / (cols + 1))) : 0;
+  const boardPadding = cellSize / 2; // 外圈连线经过的边距
+
+  const getCellCenter = (row, col) => {
+    const axis = (value, count) => {
+      if (value < 0) return boardPadding / 2;
+      if (value >= count) return boardPadding + count * cellSize + boardPadding / 2;
+      return boardPadding + value * cellSize + cellSize / 2;
+    };
+    return { x: axis(col, cols), y: axis(row, rows) };
+  };
+
+  // 前进一步：消除先画出连线，动画结束后再切换局面
+  const stepForward = () => {
+    if (line) return;
+    if (index >= lastIndex) {
+      setPlaying(false);
+      return;
+    }
+    const next = frames[index + 1];
+    if (next.path) {
+      const [tile1, tile2] = unpackCells(next.move.cells);
+      const points = getPathCorners(tile1, next.path, tile2).map(cell => getCellCenter(cell.row, cell.col));
+      setLine({ target: index + 1, tile1, tile2, points });
+    } else {
+      setIndex(index + 1);
+    }
+  };
+
+  const stepBack = () => {
+    setLine(null);
+    setPlaying(false);
+    setIndex(Math.max(0, index - 1));
+  };
+
+  const handleRestart = () => {
+    setLine(null);
+    setPlaying(false);
+    setIndex(0);
+  };
+
+  const handleLineComplete = () => {
+    if (!line) return;
+    setIndex(line.target);
+    setLine(null);
+  };
+
+  // 自动播放：每一步之间停留 REPLAY_STEP_DELAY 毫秒
+  useEffect(() => {
+    if (!playing || line) return undefined;
+    const timer = setTimeout(stepForward, GAME_CONSTANTS.REPLAY_STEP_DELAY);
+    return () => clearTimeout(timer);
+  }, [playing, line, index]);
+
+  const handleBack = () => {
+    router.back();
+  };
+
+  // 当前高亮的格子：正在连线的一对，或刚刚点错的一对
+  const highlighted = line
+    ? [line.tile1, line.tile2]
+    : frame?.move?.type === 'miss' ? unpackCells(frame.move.cells) : [];
+  const isHighlighted = (row, col) => highlighted.some(cell => cell.row === row && cell.col === col);
+
+  const renderTile = (tile, row, col) => {
+    const center = getCellCenter(row, col);
+    const obstacle = isObstacle(tile);
+    return (
+      <BoardTile
+        key={tile.id}
+        tile={obstacle ? GAME_CONSTANTS.OBSTACLE_EMOJI[tile.flags.obstacle] : isWildcard(tile) ? GAME_CONSTANTS.WILDCARD_EMOJI : tile.kind}
+        badge={obstacle ? null : getTileBadge(tile)}
+        x={center.x - cellSize / 2}
+        y={center.y - cellSize / 2}
+        tileStyle={[
+          styles.tile,
+          { width: cellSize - 2, height: cellSize - 2, margin: 1 },
+          obstacle && styles.obstacleTile,
+          isHighlighted(row, col) && (frame.move?.type === 'miss' && !line ? styles.missTile : styles.selectedTile)
+        ]}
+        emojiStyle={{ fontSize: Math.round(cellSize * 0.6) }}
+        disabled
+        duration={GAME_CONSTANTS.GRAVITY_SLIDE_DURATION}
+      />
+    );
+  };
+
+  if (!moveLog || frames.length === 0) {
+    return (
+      <SafeAreaView style={styles.container}>
+        <View style={styles.contentWrapper}>
+          <View style={styles.header}>
+            <TouchableOpacity style={styles.backButton} onPress={handleBack}>
+              <MaterialIcons name="arrow-back" size={24} color="#666" />
+            </TouchableOpacity>
+            <Text style={styles.title}>Replay</Text>
+            <View style={styles.backButton} />
+          </View>
+          <Text style={styles.emptyText}>No replay available for this game.</Text>
+        </View>
+      </SafeAreaView>
+    );
+  }
+
+  const heartsLeft = GameUtils.calculateHearts(moveLog.level) - frame.heartsLost;
+  const levelLabel = moveLog.level === GAME_CONSTANTS.PLAYTEST_LEVEL ? 'Play Test' : `Level ${moveLog.level}`;
+
+  return (
+    <SafeAreaView style={styles.container}>
+      <View style={styles.contentWrapper}>
+      {/* Header */}
+      <View style={styles.header}>
+        <TouchableOpacity style={styles.backButton} onPress={handleBack}>
+          <MaterialIcons name="arrow-back" size={24} color="#666" />
+        </TouchableOpacity>
+
+        <Text style={styles.title}>Replay · {levelLabel}</Text>
+
+        <View style={styles.backButton} />
+      </View>
+
+      {/* Step info */}
+      <View style={styles.infoRow}>
+        <Text style={styles.infoText}>Move {index}/{lastIndex}</Text>
+        <Text style={styles.infoText}>{frame.move ? formatTime(frame.move.t) : '0:00'}</Text>
+        <Text style={styles.infoText}>❤️ {heartsLeft}</Text>
+      </View>
+      <Text style={styles.moveLabel}>{frame.move ? MOVE_LABELS[frame.move.type] : 'Start'}</Text>
+
+      {/* Board */}
+      <View
+        style={[
+          styles.board,
+          { width: cols * cellSize + 2 * boardPadding, height: rows * cellSize + 2 * boardPadding, padding: boardPadding }
+        ]}
+      >
+        {board.map((cells, row) => (
+          <View key={row} style={styles.boardRow}>
+            {cells.map((cell, col) => (
+              <View
+                key={col}
+                style={[
+                  styles.cell,
+                  { width: cellSize, height: cellSize },
+                  cell === HOLE && styles.holeCell,
+                  cell === WALL && styles.wallCell
+                ]}
+              />
+            ))}
+          </View>
+        ))}
+
+        {board.flatMap((cells, row) => cells.map((tile, col) => (
+          isObstacle(tile) || kindOf(tile) ? renderTile(tile, row, col) : null
+        )))}
+
+        {line && (
+          <ConnectionLine
+            key={line.target}
+            startPosition={getCellCenter(line.tile1.row, line.tile1.col)}
+            endPosition={getCellCenter(line.tile2.row, line.tile2.col)}
+            pathPoints={line.points}
+            onAnimationComplete={handleLineComplete}
+            duration={GAME_CONSTANTS.MATCH_LINE_DURATION}
+            tileSize={cellSize}
+          />
+        )}
+      </View>
+
+      {/* Controls */}
+      <View style={styles.controls}>
+        <TouchableOpacity style={styles.controlButton} onPress={handleRestart}>
+          <MaterialIcons name="skip-previous" size={28} color="#2E7D32" />
+        </TouchableOpacity>
+        <TouchableOpacity style={styles.controlButton} onPress={stepBack} disabled={index === 0}>
+          <MaterialIcons name="chevron-left" size={32} color={index === 0 ? '#BDBDBD' : '#2E7D32'} />
+        </TouchableOpacity>
+        <TouchableOpacity
+          style={[styles.controlButton, styles.playButton]}
+          onPress={() => setPlaying(index < lastIndex && !playing)}
+        >
+          <MaterialIcons name={playing ? 'pause' : 'play-arrow'} size={32} color="white" />
+        </TouchableOpacity>
+        <TouchableOpacity style={styles.controlButton} onPress={stepForward} disabled={index === lastIndex}>
+          <MaterialIcons name="chevron-right" size={32} color={index === lastIndex ? '#BDBDBD' : '#2E7D32'} />
+        </TouchableOpacity>
+      </View>
+      </View>
+    </SafeAreaView>
+  );
+}
+
+const styles = StyleSheet.create({
+  container: {
+    flex: 1,
+    backgroundColor: '#F0F8F0',
+  },
+  contentWrapper: {
+    flex: 1,
+    marginTop: 50,
+  },
+  header: {
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+    alignItems: 'center',
+    paddingHorizontal: 20,
+    paddingVertical: 20,
+  },
+  backButton: {
+    padding: 8,
+    width: 40,
+  },
+  title: {
+    fontSize: 24,
+    fontWeight: 'bold',
+    color: '#2E7D32',
+    flex: 1,
+    textAlign: 'center',
+  },
+  emptyText: {
+    fontSize: 16,
+    color: '#666',
+    textAlign: 'center',
+    marginTop: 40,
+  },
+  infoRow: {
+    flexDirection: 'row',
+    justifyContent: 'space-around',
+    paddingHorizontal: 20,
+  },
+  infoText: {
+    fontSize: 15,
+    fontWeight: '600',
+    color: '#555',
+  },
+  moveLabel: {
+    fontSize: 16,
+    fontWeight: 'bold',
+    color: '#2E7D32',
+    textAlign: 'center',
+    marginVertical: 10,
+  },
+  board: {
+    alignSelf: 'center',
+    backgroundColor: 'rgba(255, 255, 255, 0.7)',
+    borderRadius: 12,
+  },
+  boardRow: {
+    flexDirection: 'row',
+  },
+  cell: {
+    borderRadius: 4,
+  },
+  holeCell: {
+    opacity: 0,
+  },
+  wallCell: {
+    backgroundColor: '#78909C',
+  },
+  tile: {
+    backgroundColor: '#FFF',
+    borderRadius: 6,
+    justifyContent: 'center',
+    alignItems: 'center',
+    borderWidth: 1,
+    borderColor: '#C8E6C9',
+  },
+  obstacleTile: {
+    backgroundColor: '#ECEFF1',
+    borderColor: '#90A4AE',
+  },
+  selectedTile: {
+    borderColor: '#4CAF50',
+    borderWidth: 3,
+    backgroundColor: '#E8F5E8',
+  },
+  missTile: {
+    borderColor: '#F44336',
+    borderWidth: 3,
+    backgroundColor: '#FFEBEE',
+  },
+  controls: {
+    flexDirection: 'row',
+    justifyContent: 'center',
+    alignItems: 'center',
+    gap: 20,
+    marginTop: 24,
+  },
+  controlButton: {
+    width: 52,
+    height: 52,
+    borderRadius: 26,
+    backgroundColor: '#FFF',
+    justifyContent: 'center',
+    alignItems: 'center',
+  },
+  playButton: {
+    width: 64,
+    height: 64,
+    borderRadius: 32,
+    backgroundColor: '#FF6B6B',
+  },
+});
@@ -16,8 +16,8 @@ import {
 } from 'react-native';
 import { router } from 'expo-router';
 import { MaterialIcons } from '@expo/vector-icons';
-import useGameStore from '../store/gameStore';
-import { GameUtils } from '../store/gameStore';
+import useGameStore, { GameUtils } from '../store/gameStore';
+import { getLayoutName } from '../engine/gravity';
 
 export default function Settings() {
   const { 
@@ -63,8 +63,11 @@ export default function Settings() {
       levels.push({
         id: i,
         size: GameUtils.getLevelSize(i),
+        dimensions: GameUtils.getLevelDimensions(i),
         kinds: GameUtils.getLevelKinds(i),
-        layout: GameUtils.getLevelLayout(i),
+        layout: getLayoutName(GameUtils.getLevelLayout(i)),
+        shape: GameUtils.getLevelShape(i),
+        rules: GameUtils.getLevelRules(i),
         hearts: GameUtils.calculateHearts(i),
         timeLimit: GameUtils.calculateTimeLimit(i),
         isUnlocked: i <= maxLevel + 1,
@@ -78,7 +81,7 @@ export default function Settings() {
   const levelsData = generateLevelsData();
 
   const renderLevelItem = ({ item }) => {
-    const [rows, cols] = GameUtils.getBoardDimensions(item.size);
+    const [rows, cols] = item.dimensions;
     
     return (
       <TouchableOpacity
@@ -107,11 +110,14 @@ export default function Settings() {
         
         <View style={styles.levelInfo}>
           <Text style={[styles.levelDetail, !item.isUnlocked && styles.lockedText]}>
-            {rows}×{cols} • {item.kinds} kinds
+            {rows}×{cols}{item.shape !== 'rect' ? ` ${item.shape}` : ''} • {item.kinds} kinds
           </Text>
           <Text style={[styles.levelDetail, !item.isUnlocked && styles.lockedText]}>
             {item.layout} • {item.hearts} ♥
           </Text>
+          <Text style={[styles.levelDetail, !item.isUnlocked && styles.lockedText]}>
+            {GameUtils.describeRules(item.rules)}
+          </Text>
         </View>
       </TouchableOpacity>
     );
@@ -188,6 +194,22 @@ export default function Settings() {
               />
             </View>
 
+            <View style={styles.settingItem}>
+              <View style={styles.settingInfo}>
+                <MaterialIcons name="lightbulb" size={24} color="#666" />
+                <View style={styles.settingText}>
+                  <Text style={styles.settingLabel}>Smart Hints</Text>
+                  <Text style={styles.settingDescription}>Suggest moves that keep the board clearable</Text>
+                </View>
+              </View>
+              <Switch
+                value={settings.hintMode !== 'easy'}
+                onValueChange={(value) => handleSettingToggle('hintMode', value ? 'smart' : 'easy')}
+                trackColor={{ false: '#E0E0E0', true: '#4CAF50' }}
+                thumbColor={settings.hintMode !== 'easy' ? '#FFF' : '#FFF'}
+              />
+            </View>
+
             <View style={styles.additionalOptions}>
               <TouchableOpacity 
                 style={styles.optionItem}
@@ -16,8 +16,7 @@ import {
 } from 'react-native';
 import { router } from 'expo-router';
 import { MaterialIcons } from '@expo/vector-icons';
-import useGameStore from '../store/gameStore';
-import { GAME_CONSTANTS } from '../store/gameStore';
+import useGameStore, { GAME_CONSTANTS, GameUtils } from '../store/gameStore';
 
 export default function Shop() {
   const { bambooBalance, inventory, purchaseTool } = useGameStore();
@@ -27,7 +26,7 @@ export default function Shop() {
     {
       id: 'hint',
       name: 'Hint',
-      description: 'Highlight a pair of connectable tiles',
+      description: `Reveal a tile, then its partner, then the path (${GAME_CONSTANTS.HINT_STAGE_COSTS.map(GameUtils.formatToolCount).join(' / ')} of a hint)`,
       imageSource: require('../assets/images/lighttab.png'),
       price: GAME_CONSTANTS.TOOL_PRICES.hint,
       color: '#FFC107',
@@ -48,6 +47,14 @@ export default function Shop() {
       price: GAME_CONSTANTS.TOOL_PRICES.shuffle,
       color: '#9C27B0',
     },
+    {
+      id: 'undo',
+      name: 'Undo',
+      description: 'Take back your last match',
+      iconName: 'undo',
+      price: GAME_CONSTANTS.TOOL_PRICES.undo,
+      color: '#03A9F4',
+    },
   ];
 
   const handleBack = () => {
@@ -77,10 +84,14 @@ export default function Shop() {
   const renderToolCard = (tool) => (
     <View key={tool.id} style={styles.toolCard}>
       <View style={[styles.toolIcon, { backgroundColor: `${tool.color}20` }]}>
-        <Image 
-          source={tool.imageSource}
-          style={styles.toolIconImage}
-        />
+        {tool.imageSource ? (
+          <Image 
+            source={tool.imageSource}
+            style={styles.toolIconImage}
+          />
+        ) : (
+          <MaterialIcons name={tool.iconName} size={36} color={tool.color} />
+        )}
       </View>
       
       <View style={styles.toolInfo}>
@@ -88,7 +99,7 @@ export default function Shop() {
         <Text style={styles.toolDescription}>{tool.description}</Text>
         
         <View style={styles.inventoryRow}>
-          <Text style={styles.inventoryText}>Owned: {inventory[tool.id]}</Text>
+          <Text style={styles.inventoryText}>Owned: {GameUtils.formatToolCount(inventory[tool.id])}</Text>
         </View>
         
         <View style={styles.priceRow}>
@@ -0,0 +1,64 @@
+import React, { useEffect } from 'react';
+import { Text, TouchableOpacity, StyleSheet } from 'react-native';
+import Animated, {
+  useSharedValue,
+  useAnimatedStyle,
+  withTiming,
+  Easing,
+} from 'react-native-reanimated';
+
+// 棋盘上的一块瓦片：按 id 挂载，格子变化时从旧位置滑到新位置
+const BoardTile = ({
+  tile,
+  x,
+  y,
+  tileStyle,
+  emojiStyle,
+  onPress,
+  disabled = false,
+  badge = null,
+  duration = 180
+}) => {
+  const translateX = useSharedValue(x);
+  const translateY = useSharedValue(y);
+
+  useEffect(() => {
+    translateX.value = withTiming(x, { duration, easing: Easing.out(Easing.cubic) });
+    translateY.value = withTiming(y, { duration, easing: Easing.out(Easing.cubic) });
+  }, [x, y]);
+
+  const animatedStyle = useAnimatedStyle(() => ({
+    transform: [
+      { translateX: translateX.value },
+      { translateY: translateY.value },
+    ],
+  }));
+
+  return (
+    <Animated.View style={[styles.container, animatedStyle]}>
+      <TouchableOpacity style={tileStyle} onPress={onPress} disabled={disabled}>
+        <Text style={emojiStyle}>{tile}</Text>
+        {badge !== null && <Text style={styles.badge}>{badge}</Text>}
+      </TouchableOpacity>
+    </Animated.View>
+  );
+};
+
+const styles = StyleSheet.create({
+  container: {
+    position: 'absolute',
+    top: 0,
+    left: 0,
+  },
+  // 特殊瓦片的角标（锁链、加时、倒计时）
+  badge: {
+    position: 'absolute',
+    top: 1,
+    right: 3,
+    fontSize: 9,
+    fontWeight: 'bold',
+    color: '#C62828',
+  },
+});
+
+export default BoardTile;
@@ -22,16 +22,29 @@ const ConnectionLine = ({
   const strokeDashoffset = useSharedValue(1000);
 
   useEffect(() => {
+    let mounted = true;
+    let timer = null;
+
+    // 动画结束后稍作停留再通知（回调可选，提示连线不需要）；卸载后不再通知
+    const handleComplete = () => {
+      if (mounted && onAnimationComplete) {
+        timer = setTimeout(onAnimationComplete, 50);
+      }
+    };
+
     // Start the path drawing animation
     strokeDashoffset.value = withTiming(0, {
       duration,
       easing: Easing.out(Easing.cubic),
     }, () => {
-      // Animation complete, trigger callback after a short delay
-      setTimeout(() => {
-        runOnJS(onAnimationComplete)();
-      }, 50);
+      // 完成回调运行在 UI 线程，需切回 JS 线程；动画被打断（finished 为 false）时也要通知，否则消除不会结算、输入一直被锁住
+      runOnJS(handleComplete)();
     });
+
+    return () => {
+      mounted = false;
+      clearTimeout(timer);
+    };
   }, []);
 
   // Generate SVG path string from points
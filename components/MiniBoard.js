@@ -1,9 +1,10 @@
 import React from 'react';
 import { View, Text, StyleSheet } from 'react-native';
+import { kindOf } from '../engine/tiles';
 
 const MiniBoard = ({ board }) => {
   const renderTile = (tile, row, col) => {
-    const isEmpty = !tile;
+    const isEmpty = !kindOf(tile);
     
     if (isEmpty) {
       return <View key={`${row}-${col}`} style={styles.emptyTile} />;
@@ -11,7 +12,7 @@ const MiniBoard = ({ board }) => {
 
     return (
       <View key={`${row}-${col}`} style={styles.tile}>
-        <Text style={styles.tileEmoji}>{tile}</Text>
+        <Text style={styles.tileEmoji}>{kindOf(tile)}</Text>
       </View>
     );
   };
@@ -0,0 +1,48 @@
+/**
+ * Clock - Pausable level clock on monotonic timestamps
+ * Purpose: Track elapsed and remaining time without counting ticks, so re-renders, slow timers and pauses cause no drift
+ * Extension: Time bonuses go through extendClock; anything that stops play pauses the clock
+ *
+ * A clock is { limitMs, elapsedMs, runningSince }: the time allowed, the time
+ * used up to the last pause, and the monotonic timestamp it was last resumed
+ * at (null while paused). Every function takes the current timestamp `at`
+ * (e.g. performance.now()) and returns a new clock. Persist clocks paused:
+ * monotonic timestamps do not carry over to another app session.
+ */
+
+/**
+ * Create a paused clock
+ * @param {number} limitSeconds - Time limit
+ * @returns {{limitMs: number, elapsedMs: number, runningSince: null}}
+ */
+export const createClock = (limitSeconds) => ({ limitMs: limitSeconds * 1000, elapsedMs: 0, runningSince: null });
+
+export const isClockRunning = (clock) => clock.runningSince !== null;
+
+// 到 at 为止用掉的时间（毫秒）
+export const getElapsedMs = (clock, at) => clock.elapsedMs + (isClockRunning(clock) ? at - clock.runningSince : 0);
+
+// 剩余时间（毫秒，不小于 0）
+export const getRemainingMs = (clock, at) => Math.max(0, clock.limitMs - getElapsedMs(clock, at));
+
+export const resumeClock = (clock, at) => (isClockRunning(clock) ? clock : { ...clock, runningSince: at });
+
+export const pauseClock = (clock, at) => (
+  isClockRunning(clock) ? { ...clock, elapsedMs: getElapsedMs(clock, at), runningSince: null } : clock
+);
+
+// 增加可用时间（加时瓦片、洗牌）
+export const extendClock = (clock, seconds) => ({ ...clock, limitMs: clock.limitMs + seconds * 1000 });
+
+/**
+ * Set a clock back to an earlier reading, keeping whether it is running (undo)
+ * @param {object} clock - Current clock
+ * @param {object} reading - Earlier clock, e.g. from pauseClock
+ * @param {number} at - Current timestamp
+ * @returns {object} New clock
+ */
+export const restoreClock = (clock, reading, at) => ({
+  limitMs: reading.limitMs,
+  elapsedMs: getElapsedMs(reading, at),
+  runningSince: isClockRunning(clock) ? at : null
+});
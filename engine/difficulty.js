@@ -0,0 +1,134 @@
+/**
+ * Difficulty - Score how hard a concrete board is to clear
+ * Purpose: Let level setup reject boards that are much easier or harder than the level intends
+ * Extension: Add a metric to analyzeBoard and give it a weight in SCORE_WEIGHTS
+ *
+ * Metrics are measured along a known clearing sequence (the generator's solution
+ * or one found by solveBoard) plus a few random playouts:
+ * - moveRatio: connectable pairs available before each step per remaining pair
+ *   (fewer = harder to spot, and comparable across board sizes)
+ * - deadEndRate: share of random playouts that get stuck before clearing the board
+ * - turns: average turns of the moves in the clearing sequence
+ *
+ * The playouts are seeded from the board itself, so a board always gets the same score.
+ */
+
+import { applyMove, listMoves, solveBoard } from './solver.js';
+import { createRng, randomInt, shuffleInPlace } from './random.js';
+import { DEFAULT_RULES, findReachableCells } from './router.js';
+import { canMatch, isSelectable } from './specials.js';
+import { kindOf } from './tiles.js';
+
+const DEFAULT_PLAYOUTS = 6;
+// 可走步数与剩余对数之比达到此值时视为"毫无难度"
+const MOVE_RATIO_SCALE = 2;
+const SCORE_WEIGHTS = {
+  deadEnds: 0.4,
+  scarcity: 0.35,
+  turns: 0.25
+};
+
+const clamp01 = (value) => Math.min(1, Math.max(0, value));
+
+// 由棋盘内容得到随机走的种子（FNV-1a），同一棋盘每次分析结果相同
+const boardSeed = (board) => {
+  const text = JSON.stringify(board);
+  let hash = 0x811c9dc5;
+  for (let i = 0; i < text.length; i++) {
+    hash = Math.imul(hash ^ text.charCodeAt(i), 0x01000193);
+  }
+  return hash >>> 0;
+};
+
+// 按随机顺序找第一块有可连对象的瓦片，不必像 listMoves 那样列出所有可走步
+const pickRandomMove = (board, rules, rng) => {
+  const cells = [];
+  board.forEach((row, r) => row.forEach((cell, c) => {
+    if (isSelectable(cell)) cells.push({ row: r, col: c });
+  }));
+  shuffleInPlace(cells, rng);
+
+  for (const a of cells) {
+    const partners = findReachableCells(board, a, rules)
+      .filter(target => canMatch(board[a.row][a.col], board[target.row][target.col]));
+    if (partners.length > 0) {
+      const { row, col } = partners[randomInt(rng, partners.length)];
+      return { a, b: { row, col } };
+    }
+  }
+  return null;
+};
+
+// 随机走到底：true 表示中途卡死
+const playoutGetsStuck = (board, layoutType, rules, rng) => {
+  let current = board;
+  for (let played = 1; current.some(row => row.some(kindOf)); played++) {
+    const move = pickRandomMove(current, rules, rng);
+    if (!move) return true;
+    current = applyMove(current, move, layoutType, played);
+  }
+  return false;
+};
+
+/**
+ * Analyze a board and compute a 0-100 difficulty score
+ * @param {string[][]} board - Starting board
+ * @param {object} options
+ * @param {string} options.layoutType - Gravity layout
+ * @param {object} [options.rules] - Connection rules, see findPath
+ * @param {object[]} [options.solution] - Known clearing sequence, otherwise solveBoard is used
+ * @param {number} [options.playouts=6] - Random playouts used for the dead-end rate
+ * @returns {{score: number, moveRatio: number, avgMoves: number, minMoves: number, deadEndRate: number, avgTurns: number}|null}
+ *   null when no clearing sequence is known for the board
+ */
+export const analyzeBoard = (board, {
+  layoutType,
+  rules,
+  solution,
+  playouts = DEFAULT_PLAYOUTS
+}) => {
+  const moves = solution || solveBoard(board, { layoutType, rules }).moves;
+  if (moves.length === 0) return null;
+
+  let current = board;
+  let totalMoves = 0;
+  let totalRatio = 0;
+  let minMoves = Infinity;
+  let totalTurns = 0;
+
+  for (let index = 0; index < moves.length; index++) {
+    const move = moves[index];
+    const available = listMoves(current, rules);
+    const played = available.find(({ a, b }) => (
+      (a.row === move.a.row && a.col === move.a.col && b.row === move.b.row && b.col === move.b.col) ||
+      (a.row === move.b.row && a.col === move.b.col && b.row === move.a.row && b.col === move.a.col)
+    ));
+    if (!played) return null;
+
+    totalMoves += available.length;
+    totalRatio += available.length / (moves.length - index);
+    minMoves = Math.min(minMoves, available.length);
+    totalTurns += played.turns;
+    current = applyMove(current, move, layoutType, index + 1);
+  }
+
+  const rng = createRng(boardSeed(board));
+  let stuck = 0;
+  for (let i = 0; i < playouts; i++) {
+    if (playoutGetsStuck(board, layoutType, rules, rng)) stuck++;
+  }
+
+  const avgMoves = totalMoves / moves.length;
+  const moveRatio = totalRatio / moves.length;
+  const avgTurns = totalTurns / moves.length;
+  const deadEndRate = playouts > 0 ? stuck / playouts : 0;
+  const maxTurns = { ...DEFAULT_RULES, ...rules }.maxTurns;
+
+  const score = 100 * (
+    SCORE_WEIGHTS.deadEnds * deadEndRate +
+    SCORE_WEIGHTS.scarcity * clamp01(1 - moveRatio / MOVE_RATIO_SCALE) +
+    SCORE_WEIGHTS.turns * (maxTurns > 0 ? clamp01(avgTurns / maxTurns) : 0)
+  );
+
+  return { score: Math.round(score), moveRatio, avgMoves, minMoves, deadEndRate, avgTurns };
+};
@@ -0,0 +1,510 @@
+/**
+ * Generator - Board generation by reverse play
+ * Purpose: Build boards that are guaranteed to be fully clearable under the level's gravity and rules
+ * Extension: Works for any layout with fixed gravity lines (see engine/gravity.js)
+ *
+ * Generation starts from the empty board and "un-plays" one pair at a time: both
+ * tiles are inserted into gravity lines (shifting the tiles behind them back up
+ * the line) so that removing the pair and applying gravity restores the previous
+ * board, and the pair must be connectable on the new board. Read backwards, the
+ * insertions are therefore a complete clearing sequence, which is returned with
+ * the board and can be checked with verifySolution.
+ *
+ * Obstacles are left out of the lines. Rocks only go on the first cell of a
+ * line, where gravity never moves them, and a pair next to an obstacle is only
+ * inserted while the obstacle's line holds no tiles beyond it: when the match
+ * breaks the obstacle, its cell joins the line but no tile slides into it.
+ *
+ * Layouts without fixed lines (two-pass Quadrant, Rotate) and stacked boards
+ * (a removed tile may leave its cell occupied) cannot be un-played by
+ * insertion; they are built by forward play instead, which is also the
+ * fallback when reverse play runs out of budget. Connections and gravity only
+ * depend on which cells are occupied, so placeholder tiles are cleared in a
+ * random order and each removed pair gets its kind afterwards; that order is a
+ * clearing sequence by construction. Neither path runs the solver, so
+ * generation stays fast enough for the UI thread.
+ *
+ * Special tiles (engine/specials) are added to the finished board: bonus tiles
+ * keep their kind, and wildcards replace both tiles of one pair of the sequence,
+ * which then matches two wildcards, so the sequence still holds; countdown
+ * tiles go on tiles the sequence clears in time, and a lock is kept only if
+ * verifySolution still accepts the sequence with it.
+ */
+
+import { findPath } from './pathfinder.js';
+import { findReachableCells } from './router.js';
+import { getGravityPasses, hasFixedGravityLines } from './gravity.js';
+import { randomInt, shuffleInPlace } from './random.js';
+import { applyMove, listMoves, verifySolution } from './solver.js';
+import { isBlockedCell, kindOf, toTileGrid } from './tiles.js';
+import { OBSTACLE_TYPES, isObstacle, placeObstacles } from './obstacles.js';
+import { makeSpecial } from './specials.js';
+import { belowOf, placeOnStack, stackTiles } from './layers.js';
+
+const DEFAULT_SEARCH_BUDGET = 3000;
+const DEFAULT_MAX_RESTARTS = 6;
+// 正向试玩用的占位瓦片：全部同种，任意两块可连即可配对
+const PLACEHOLDER = '?';
+const CANDIDATE_JITTER = 3;
+// 每多出一条剩余空位为奇数的重力线，候选得分的扣分（远大于深度与抖动）
+const PARITY_PENALTY = 10;
+// 静态布局中剩余空位不多于此数时，改为带记忆的完整搜索
+const ENDGAME_CELLS = 12;
+
+// 所有可放置的格子都要属于某条重力线；静态布局下每个格子自成一条线，形状之外的格子和障碍物不属于任何线
+const buildLines = (emptyBoard, layoutType) => {
+  const rows = emptyBoard.length;
+  const cols = emptyBoard[0].length;
+  const isPlayable = ({ row, col }) => emptyBoard[row][col] === '';
+  const lines = (getGravityPasses(rows, cols, layoutType)[0] || [])
+    .map(line => line.filter(isPlayable))
+    .filter(line => line.length > 0);
+  const covered = new Set();
+  lines.forEach(line => line.forEach(({ row, col }) => covered.add(row * cols + col)));
+
+  for (let row = 0; row < rows; row++) {
+    for (let col = 0; col < cols; col++) {
+      if (!covered.has(row * cols + col) && isPlayable({ row, col })) lines.push([{ row, col }]);
+    }
+  }
+  return lines;
+};
+
+const NEIGHBORS = [[-1, 0], [1, 0], [0, -1], [0, 1]];
+
+// 随重力移动的障碍物（岩石）只放在重力线的第一个格子或不属于任何线的格子上，这样它永远不会移动
+const canPlaceObstacle = (shapeBoard, layoutType) => {
+  const cols = shapeBoard[0].length;
+  const inLine = new Set();
+  const lineStarts = new Set();
+  (getGravityPasses(shapeBoard.length, cols, layoutType)[0] || []).forEach(fullLine => {
+    const cells = fullLine.filter(({ row, col }) => !isBlockedCell(shapeBoard[row][col]));
+    cells.forEach(({ row, col }) => inLine.add(row * cols + col));
+    if (cells.length > 0) lineStarts.add(cells[0].row * cols + cells[0].col);
+  });
+  return (type, { row, col }) => {
+    const key = row * cols + col;
+    return OBSTACLE_TYPES[type].fixed || !inLine.has(key) || lineStarts.has(key);
+  };
+};
+
+// 障碍物相邻格子 -> [{line, limit}]：在这些格子上消除时，障碍物所在的线最多只能有 limit 块瓦片（都在障碍物之前）
+const buildObstacleGuards = (emptyBoard, lines, layoutType) => {
+  const rows = emptyBoard.length;
+  const cols = emptyBoard[0].length;
+  const lineIndexOf = new Map();
+  lines.forEach((line, index) => line.forEach(({ row, col }) => lineIndexOf.set(row * cols + col, index)));
+
+  const guards = new Map();
+  (getGravityPasses(rows, cols, layoutType)[0] || []).forEach(fullLine => {
+    const first = fullLine.find(({ row, col }) => emptyBoard[row][col] === '');
+    if (!first) return;
+    const line = lineIndexOf.get(first.row * cols + first.col);
+    let limit = 0;
+    fullLine.forEach(({ row, col }) => {
+      if (emptyBoard[row][col] === '') limit++;
+      if (!isObstacle(emptyBoard[row][col])) return;
+      NEIGHBORS.forEach(([dr, dc]) => {
+        const r = row + dr;
+        const c = col + dc;
+        if (r < 0 || r >= rows || c < 0 || c >= cols) return;
+        guards.set(r * cols + c, [...(guards.get(r * cols + c) || []), { line, limit }]);
+      });
+    });
+  });
+  return guards;
+};
+
+// 每条线上已有瓦片数（重力稳定的棋盘中瓦片总是紧贴线的起点）
+const countLineTiles = (board, line) => {
+  let count = 0;
+  while (count < line.length && board[line[count].row][line[count].col]) count++;
+  return count;
+};
+
+// 候选：两个插入点 {line, index}，同一条线上需要至少两个空位
+const buildCandidates = (board, lines) => {
+  const slots = [];
+  const counts = lines.map(line => countLineTiles(board, line));
+
+  lines.forEach((line, lineIndex) => {
+    if (counts[lineIndex] >= line.length) return;
+    for (let index = 0; index <= counts[lineIndex]; index++) {
+      slots.push({ line: lineIndex, index });
+    }
+  });
+
+  const candidates = [];
+  for (let i = 0; i < slots.length; i++) {
+    for (let j = i; j < slots.length; j++) {
+      const first = slots[i];
+      const second = slots[j];
+      if (first.line === second.line) {
+        if (counts[first.line] + 2 > lines[first.line].length) continue;
+      } else if (i === j) {
+        continue;
+      }
+      candidates.push([first, second]);
+    }
+  }
+  return candidates;
+};
+
+// 到棋盘边缘的距离：越靠内越先放，留到最后（即最先消除）的空位在边缘，可经外圈相连
+const borderDistance = ({ row, col }, rows, cols) => Math.min(row, col, rows - 1 - row, cols - 1 - col);
+
+// 按"靠内优先 + 随机抖动"排序，score 返回某一项的深度
+const rankByDepth = (items, depthOf, rng) => {
+  return items
+    .map(item => ({ item, score: depthOf(item) + rng() * CANDIDATE_JITTER }))
+    .sort((x, y) => y.score - x.score)
+    .map(({ item }) => item);
+};
+
+// 插入一对瓦片，返回新棋盘和这对瓦片的位置
+const insertPair = (board, lines, [first, second], kind) => {
+  const newBoard = board.map(row => [...row]);
+
+  const writeLine = (line, tiles) => {
+    line.forEach(({ row, col }, index) => {
+      newBoard[row][col] = tiles[index] || '';
+    });
+  };
+  const readLine = (line) => line.map(({ row, col }) => board[row][col]).filter(Boolean);
+
+  if (first.line === second.line) {
+    const line = lines[first.line];
+    const tiles = readLine(line);
+    tiles.splice(second.index, 0, kind);
+    tiles.splice(first.index, 0, kind);
+    writeLine(line, tiles);
+    return { board: newBoard, cells: [line[first.index], line[second.index + 1]] };
+  }
+
+  [first, second].forEach(({ line: lineIndex, index }) => {
+    const tiles = readLine(lines[lineIndex]);
+    tiles.splice(index, 0, kind);
+    writeLine(lines[lineIndex], tiles);
+  });
+  return { board: newBoard, cells: [lines[first.line][first.index], lines[second.line][second.index]] };
+};
+
+// 收集空格子
+const collectEmptyCells = (board) => {
+  const cells = [];
+  board.forEach((row, r) => row.forEach((tile, c) => {
+    if (!tile) cells.push({ row: r, col: c });
+  }));
+  return cells;
+};
+
+// 带回溯的逆向放置；预算耗尽返回 null
+const reversePlay = (emptyBoard, lines, guards, pairKinds, rules, rng, budget) => {
+  const rows = emptyBoard.length;
+  const cols = emptyBoard[0].length;
+  const isStatic = lines.every(line => line.length === 1);
+  const depthOfCell = cell => borderDistance(cell, rows, cols);
+  let remaining = budget;
+
+  // 这一对消除后（即插入前的棋盘），相邻障碍物碎裂也不会让线上的瓦片移动
+  const keepsObstaclesStill = (board, cells) => cells.every(({ row, col }) => {
+    return (guards.get(row * cols + col) || []).every(({ line, limit }) => countLineTiles(board, lines[line]) <= limit);
+  });
+
+  // 重力布局：在重力线上插入，插入后检查这一对能否相连
+  const placeOnLines = (board, depth) => {
+    // 剩余空位为奇数的线最后只能两两凑成相邻的一对，优先选择不增加这种线的插入
+    const free = lines.map(line => line.length - countLineTiles(board, line));
+    const oddLinesAdded = ([first, second]) => {
+      if (first.line === second.line) return 0;
+      return [first.line, second.line].reduce((sum, line) => sum + (free[line] % 2 === 1 ? -1 : 1), 0);
+    };
+
+    const candidates = rankByDepth(buildCandidates(board, lines), ([first, second]) => {
+      const secondIndex = first.line === second.line ? second.index + 1 : second.index;
+      const depthScore = depthOfCell(lines[first.line][first.index]) + depthOfCell(lines[second.line][secondIndex]);
+      return depthScore - PARITY_PENALTY * oddLinesAdded([first, second]);
+    }, rng);
+
+    for (const candidate of candidates) {
+      if (--remaining < 0) return null;
+
+      const { board: nextBoard, cells } = insertPair(board, lines, candidate, pairKinds[depth]);
+      if (!keepsObstaclesStill(board, cells) || !findPath(nextBoard, cells[0], cells[1], rules).isValid) continue;
+
+      const result = place(nextBoard, depth + 1);
+      if (result) {
+        // 最后放入的一对是第一步要消除的
+        return { board: result.board, moves: [...result.moves, { a: cells[0], b: cells[1] }] };
+      }
+      if (remaining < 0) return null;
+    }
+    return null;
+  };
+
+  // 静态布局：瓦片不移动，一次搜索即可找出某个空位的所有可连接空位
+  const placeStatic = (board, depth) => {
+    const emptyCells = collectEmptyCells(board);
+    if (emptyCells.length <= ENDGAME_CELLS) {
+      return finishStatic(board, emptyCells, depth);
+    }
+
+    // 空位只会越来越难连：先处理可连接空位最少的格子，有格子已无法配对则立即回溯
+    let first = null;
+    let partners = null;
+    for (const cell of shuffleInPlace(emptyCells, rng)) {
+      const reachable = findReachableCells(board, cell, rules).filter(({ row, col }) => !board[row][col]);
+      if (reachable.length === 0) return null;
+      if (!partners || reachable.length < partners.length) {
+        first = cell;
+        partners = reachable;
+      }
+    }
+
+    for (const second of rankByDepth(partners, depthOfCell, rng)) {
+      if (--remaining < 0) return null;
+
+      const nextBoard = board.map(row => [...row]);
+      nextBoard[first.row][first.col] = pairKinds[depth];
+      nextBoard[second.row][second.col] = pairKinds[depth];
+
+      const result = place(nextBoard, depth + 1);
+      if (result) {
+        const move = { a: first, b: { row: second.row, col: second.col } };
+        return { board: result.board, moves: [...result.moves, move] };
+      }
+      if (remaining < 0) return null;
+    }
+    return null;
+  };
+
+  // 静态残局：空位不多时做完整搜索，用位掩码记录已证明无解的空位集合
+  const finishStatic = (board, emptyCells, depth) => {
+    const failed = new Set();
+
+    const solve = (current, mask, pairDepth) => {
+      if (mask === 0) return { board: current, moves: [] };
+      if (failed.has(mask)) return null;
+
+      const open = emptyCells.filter((cell, i) => mask & (1 << i));
+      for (const first of open) {
+        const partners = findReachableCells(current, first, rules).filter(({ row, col }) => !current[row][col]);
+
+        for (const { row, col } of partners) {
+          const second = emptyCells.findIndex(cell => cell.row === row && cell.col === col);
+          const nextBoard = current.map(line => [...line]);
+          nextBoard[first.row][first.col] = pairKinds[pairDepth];
+          nextBoard[row][col] = pairKinds[pairDepth];
+
+          const nextMask = mask & ~(1 << emptyCells.indexOf(first)) & ~(1 << second);
+          const result = solve(nextBoard, nextMask, pairDepth + 1);
+          if (result) {
+            return { board: result.board, moves: [...result.moves, { a: first, b: { row, col } }] };
+          }
+        }
+      }
+
+      failed.add(mask);
+      return null;
+    };
+
+    return solve(board, (1 << emptyCells.length) - 1, depth);
+  };
+
+  const place = (board, depth) => {
+    if (depth === pairKinds.length) return { board, moves: [] };
+    return isStatic ? placeStatic(board, depth) : placeOnLines(board, depth);
+  };
+
+  return place(emptyBoard, 0);
+};
+
+// 随机挑选有瓦片的格子，把 buried 中的瓦片依次压在它们下面（每格 depth - 1 块）
+const buryTiles = (board, buried, depth, rng) => {
+  const cells = [];
+  board.forEach((row, r) => row.forEach((cell, c) => {
+    if (kindOf(cell)) cells.push({ row: r, col: c });
+  }));
+  shuffleInPlace(cells, rng);
+
+  let next = 0;
+  for (const { row, col } of cells) {
+    if (next >= buried.length) break;
+    board[row][col] = stackTiles([board[row][col], ...buried.slice(next, next + depth - 1)]);
+    next += depth - 1;
+  }
+  return board;
+};
+
+// 摆满整个棋盘：随机放置障碍物，空位按顺序填入 tiles，剩下的瓦片压在下层
+const fillBoard = (shapeBoard, obstacles, layers, tiles, rng) => {
+  let next = 0;
+  const board = placeObstacles(shapeBoard, obstacles, rng)
+    .map(row => row.map(cell => (cell === '' ? tiles[next++] : cell)));
+  return layers ? buryTiles(board, tiles.slice(next), layers.depth, rng) : board;
+};
+
+// 正向试玩：在占位瓦片的棋盘上随机消除到底，记下每一步消除的两块瓦片，再按步分配种类；卡住时返回 null
+const playForward = (filledBoard, pairKinds, layoutType, rules, rng) => {
+  const initial = toTileGrid(filledBoard);
+  const kindById = new Map();
+  const solution = [];
+  let current = initial;
+
+  for (let step = 0; step < pairKinds.length; step++) {
+    const moves = listMoves(current, rules);
+    if (moves.length === 0) return null;
+    const { a, b } = moves[randomInt(rng, moves.length)];
+    kindById.set(current[a.row][a.col].id, pairKinds[step]);
+    kindById.set(current[b.row][b.col].id, pairKinds[step]);
+    solution.push({ a, b });
+    current = applyMove(current, { a, b }, layoutType, step + 1);
+  }
+
+  // 换回生成器的格子形式：普通瓦片为种类字符串，叠放的瓦片保留下层，障碍物和形状外的格子不变
+  const toCell = (cell) => {
+    if (!cell) return '';
+    if (typeof cell !== 'object' || isObstacle(cell)) return cell;
+    const below = belowOf(cell);
+    return placeOnStack(kindById.get(cell.id), below && toCell(below));
+  };
+  return { board: initial.map(row => row.map(toCell)), solution };
+};
+
+// 按解法回放，记下每块瓦片在第几步被消除（按初始格子返回，非瓦片格子为 -1）
+const removalSteps = (board, solution, layoutType) => {
+  const initial = toTileGrid(board);
+  const stepById = new Map();
+  let current = initial;
+
+  solution.forEach((move, step) => {
+    stepById.set(current[move.a.row][move.a.col].id, step);
+    stepById.set(current[move.b.row][move.b.col].id, step);
+    current = applyMove(current, move, layoutType, step + 1);
+  });
+
+  return initial.map(row => row.map(tile => (tile && stepById.has(tile.id) ? stepById.get(tile.id) : -1)));
+};
+
+// 在生成好的棋盘上放置特殊瓦片，保证返回的消除序列依然成立
+const addSpecialTiles = ({ board, solution }, specials, layoutType, rules, rng) => {
+  if (specials.length === 0) return { board, solution };
+
+  const steps = removalSteps(board, solution, layoutType);
+  const candidates = [];
+  board.forEach((row, r) => row.forEach((cell, c) => {
+    if (steps[r][c] >= 0) candidates.push({ row: r, col: c });
+  }));
+  shuffleInPlace(candidates, rng);
+
+  // 解法中与该格子同一步消除的另一块瓦片（它在下层时没有）
+  const partnerOf = ({ row, col }) => candidates.find(cell => {
+    return steps[cell.row][cell.col] === steps[row][col] && (cell.row !== row || cell.col !== col);
+  });
+
+  let current = board;
+  specials.forEach(({ type, count, moves }) => {
+    let placed = 0;
+    for (const { row, col } of candidates) {
+      if (placed === count) break;
+      // 万能牌成对放在同一步消除的两块瓦片上
+      const cells = type === 'wildcard' ? [{ row, col }, partnerOf({ row, col })] : [{ row, col }];
+      // 每块瓦片最多一种特殊效果
+      if (cells.some(cell => !cell || typeof current[cell.row][cell.col] !== 'string')) continue;
+      // 倒计时瓦片必须在解法中按时消除
+      if (type === 'countdown' && steps[row][col] >= moves) continue;
+
+      const next = current.map(line => [...line]);
+      cells.forEach(cell => {
+        next[cell.row][cell.col] = makeSpecial(current[cell.row][cell.col], type, type === 'countdown' ? { movesLeft: moves } : {});
+      });
+      if (type === 'locked' && !verifySolution(next, solution, layoutType, rules).isValid) continue;
+      current = next;
+      placed++;
+    }
+  });
+
+  return { board: current, solution };
+};
+
+/**
+ * Generate a fully clearable board
+ * @param {object} options
+ * @param {number} options.rows - Board rows
+ * @param {number} options.cols - Board columns (rows * cols must be even without a mask)
+ * @param {number} options.kinds - Number of tile kinds to use
+ * @param {string[]} options.tileKinds - Available kinds, usually GAME_CONSTANTS.TILE_KINDS
+ * @param {string} options.layoutType - Gravity layout of the level
+ * @param {object} [options.rules] - Connection rules, see findPath
+ * @param {() => number} options.rng - Seeded generator from engine/random
+ * @param {string[][]} [options.mask] - Board shape from engine/shapes, defaults to the full rectangle
+ * @param {{type: string, count: number}[]} [options.obstacles] - Obstacles to scatter (engine/obstacles);
+ *   the cells left free for tiles must be even
+ * @param {{type: string, count: number, moves?: number}[]} [options.specials] - Special tiles to add
+ *   (engine/specials); wildcards are counted in pairs and countdown tiles start with `moves` moves
+ *   left. Fewer are placed when the clearing sequence leaves no suitable tile
+ * @param {{depth: number, cells: number}} [options.layers] - Stacked board (engine/layers): `cells` random
+ *   tile cells hold `depth` tiles each; the total tile count must be even
+ * @returns {{board: string[][], solution: object[], reversePlayed: boolean}} Board and a clearing sequence in
+ *   play order; reversePlayed is false when the board came from forward play
+ */
+export const generateBoard = ({
+  rows,
+  cols,
+  kinds,
+  tileKinds,
+  layoutType,
+  rules,
+  rng,
+  mask,
+  obstacles = [],
+  specials = [],
+  layers = null,
+  searchBudget = DEFAULT_SEARCH_BUDGET,
+  maxRestarts = DEFAULT_MAX_RESTARTS
+}) => {
+  const shapeBoard = mask
+    ? mask.map(row => row.map(cell => (isBlockedCell(cell) ? cell : '')))
+    : Array.from({ length: rows }, () => Array(cols).fill(''));
+  const shapeCells = shapeBoard.reduce((count, row) => count + row.filter(cell => cell === '').length, 0);
+  const freeCells = shapeCells - obstacles.reduce((sum, { count }) => sum + count, 0);
+  const buriedTiles = layers ? layers.cells * (layers.depth - 1) : 0;
+  if (freeCells < 0 || (layers && layers.cells > freeCells) || (freeCells + buriedTiles) % 2 === 1) {
+    throw new Error(`A ${rows}x${cols} board with these obstacles and layers leaves no even number of tiles`);
+  }
+  const pairs = (freeCells + buriedTiles) / 2;
+  const availableKinds = tileKinds.slice(0, kinds);
+
+  // 瓦片对的种类，按原规则均匀分配后打乱
+  const pairKinds = [];
+  for (let i = 0; i < pairs; i++) {
+    pairKinds.push(availableKinds[i % kinds]);
+  }
+
+  let result = null;
+  if (hasFixedGravityLines(layoutType) && buriedTiles === 0) {
+    const emptyBoard = placeObstacles(shapeBoard, obstacles, rng, canPlaceObstacle(shapeBoard, layoutType));
+    const emptyCells = emptyBoard.reduce((count, row) => count + row.filter(cell => cell === '').length, 0);
+    // 岩石放不下（每条线只能放一块）时改用正向试玩
+    if (emptyCells === freeCells) {
+      const lines = buildLines(emptyBoard, layoutType);
+      const guards = buildObstacleGuards(emptyBoard, lines, layoutType);
+      for (let attempt = 0; attempt <= maxRestarts && !result; attempt++) {
+        shuffleInPlace(pairKinds, rng);
+        const placed = reversePlay(emptyBoard, lines, guards, pairKinds, rules, rng, searchBudget);
+        if (placed) result = { board: placed.board, solution: placed.moves };
+      }
+    }
+  }
+
+  // 没有固定重力线、有叠放或预算都用完时改用正向试玩（不搜索，走通的那一遍就是消除序列）
+  const reversePlayed = Boolean(result);
+  const placeholders = Array(pairs * 2).fill(PLACEHOLDER);
+  for (let attempt = 0; attempt <= maxRestarts && !result; attempt++) {
+    shuffleInPlace(pairKinds, rng);
+    result = playForward(fillBoard(shapeBoard, obstacles, layers, placeholders, rng), pairKinds, layoutType, rules, rng);
+  }
+
+  if (!result) throw new Error(`Unable to generate a ${rows}x${cols} ${layoutType} board`);
+  return { ...addSpecialTiles(result, specials, layoutType, rules, rng), reversePlayed };
+};
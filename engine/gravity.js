@@ -0,0 +1,223 @@
+/**
+ * Gravity - Tile movement after removal for each board layout
+ * Purpose: Pure gravity rules shared by gameplay, board generation and solvers
+ * Extension: A layout is described by its gravity passes; add a case to getGravityPasses for new layouts
+ *
+ * A gravity line is an ordered list of cells. After every removal the tiles on a
+ * line keep their relative order and pack toward the first cell of the line.
+ * A pass is a set of disjoint lines; most layouts have one pass, Quadrant applies
+ * a horizontal pass and then a vertical one.
+ * Cells that belong to no line (Static layout) never move. Cells outside the
+ * board's shape (HOLE / WALL markers) and fixed obstacles are skipped: tiles
+ * slide past them. Other obstacles move like tiles.
+ */
+
+import { isBlockedCell } from './tiles.js';
+import { isFixedObstacle } from './obstacles.js';
+
+// Rotate 布局的重力方向顺序：第 1 次消除后向下，第 2 次向左，依此循环
+export const ROTATE_DIRECTIONS = ['Down', 'Left', 'Up', 'Right'];
+
+// 一行/一列的格子序列
+const rowCells = (row, fromCol, toCol) => {
+  const cells = [];
+  const step = fromCol <= toCol ? 1 : -1;
+  for (let col = fromCol; col !== toCol + step; col += step) {
+    cells.push({ row, col });
+  }
+  return cells;
+};
+
+const colCells = (col, fromRow, toRow) => {
+  const cells = [];
+  const step = fromRow <= toRow ? 1 : -1;
+  for (let row = fromRow; row !== toRow + step; row += step) {
+    cells.push({ row, col });
+  }
+  return cells;
+};
+
+// 整行/整列朝一个方向
+const directionLines = (rows, cols, direction) => {
+  const lines = [];
+  switch (direction) {
+    case 'Left':
+      for (let row = 0; row < rows; row++) lines.push(rowCells(row, 0, cols - 1));
+      break;
+    case 'Right':
+      for (let row = 0; row < rows; row++) lines.push(rowCells(row, cols - 1, 0));
+      break;
+    case 'Up':
+      for (let col = 0; col < cols; col++) lines.push(colCells(col, 0, rows - 1));
+      break;
+    case 'Down':
+      for (let col = 0; col < cols; col++) lines.push(colCells(col, rows - 1, 0));
+      break;
+    default:
+      break;
+  }
+  return lines;
+};
+
+/**
+ * Lines that split every row (axis 'row') or every column (axis 'col') at a pivot
+ *
+ * The pivot is a position measured in cells from the start of the row/column and
+ * defaults to the middle. Cells before it pack toward the start and cells after
+ * it toward the end, or both toward the pivot when inward. A cell centered
+ * exactly on the pivot (the middle cell of an odd length by default) never moves.
+ * @param {number} rows - Board rows
+ * @param {number} cols - Board columns
+ * @param {object} [options]
+ * @param {'row'|'col'} [options.axis='row'] - Tiles move along rows (left/right) or columns (up/down)
+ * @param {number} [options.pivot] - Split position, e.g. 5 splits 10 columns into 0-4 and 5-9
+ * @param {boolean} [options.inward=false] - Pack toward the pivot instead of toward the edges
+ * @returns {{row: number, col: number}[][]}
+ */
+export const getSplitLines = (rows, cols, { axis = 'row', pivot, inward = false } = {}) => {
+  const length = axis === 'row' ? cols : rows;
+  const count = axis === 'row' ? rows : cols;
+  const splitAt = pivot === undefined ? length / 2 : Math.min(length, Math.max(0, pivot));
+  // 格子 i 的中心在 i + 0.5：中心在 pivot 之前归前半，之后归后半，正好落在 pivot 上的不动
+  const lowEnd = Math.ceil(splitAt - 0.5) - 1;
+  const highStart = Math.floor(splitAt - 0.5) + 1;
+  const cells = axis === 'row' ? rowCells : colCells;
+  const lines = [];
+
+  for (let index = 0; index < count; index++) {
+    if (lowEnd >= 0) {
+      lines.push(inward ? cells(index, lowEnd, 0) : cells(index, 0, lowEnd));
+    }
+    if (highStart <= length - 1) {
+      lines.push(inward ? cells(index, highStart, length - 1) : cells(index, length - 1, highStart));
+    }
+  }
+  return lines;
+};
+
+/**
+ * Name of a layout given either as a string or as {type, ...options}
+ * @param {string|{type: string}} layout
+ * @returns {string}
+ */
+export const getLayoutName = (layout) => (typeof layout === 'string' ? layout : layout?.type);
+
+/**
+ * Gravity direction of a Rotate board after a given match
+ * @param {number} matchCount - Pairs removed so far, including the match being settled
+ * @returns {string} 'Down', 'Left', 'Up' or 'Right'
+ */
+export const getRotateDirection = (matchCount) => {
+  return ROTATE_DIRECTIONS[(Math.max(1, matchCount) - 1) % ROTATE_DIRECTIONS.length];
+};
+
+/**
+ * Whether a layout always moves tiles along the same single pass of lines
+ *
+ * Quadrant needs two passes and Rotate changes direction after every match; the
+ * reverse-play generator only handles layouts with fixed lines.
+ * @param {string|object} layoutType - Layout name or {type, ...options}, see getGravityPasses
+ * @returns {boolean}
+ */
+export const hasFixedGravityLines = (layoutType) => !['Quadrant', 'Rotate'].includes(getLayoutName(layoutType));
+
+/**
+ * Get the gravity passes for a board size and layout
+ *
+ * Split, VSplit and Converge also accept an object layout whose options are
+ * passed to getSplitLines, e.g. { type: 'Split', axis: 'col', pivot: 3 }.
+ * @param {number} rows - Board rows
+ * @param {number} cols - Board columns
+ * @param {string|{type: string, axis?: string, pivot?: number}} layoutType - One of GAME_CONSTANTS.LAYOUTS
+ * @param {number} [matchCount=1] - Pairs removed so far, only used by Rotate
+ * @returns {{row: number, col: number}[][][]} Passes applied in order, each a list of lines
+ *   packing toward their first cell; empty for Static
+ */
+export const getGravityPasses = (rows, cols, layoutType, matchCount = 1) => {
+  const layoutName = getLayoutName(layoutType);
+  const options = typeof layoutType === 'string' ? {} : layoutType;
+
+  switch (layoutName) {
+    case 'Left':
+    case 'Right':
+    case 'Up':
+    case 'Down':
+      return [directionLines(rows, cols, layoutName)];
+
+    case 'Split':
+      // Tiles split left and right from the center; an odd center column stays put
+      return [getSplitLines(rows, cols, { axis: 'row', ...options, inward: false })];
+
+    case 'VSplit':
+      // Tiles split up and down from the middle row
+      return [getSplitLines(rows, cols, { axis: 'col', ...options, inward: false })];
+
+    case 'Converge':
+      // Tiles pull toward the center columns from both sides
+      return [getSplitLines(rows, cols, { axis: 'row', ...options, inward: true })];
+
+    case 'Quadrant':
+      // Each quarter falls toward its own corner
+      return [getSplitLines(rows, cols, { axis: 'row' }), getSplitLines(rows, cols, { axis: 'col' })];
+
+    case 'Rotate':
+      // Direction changes after every match
+      return [directionLines(rows, cols, getRotateDirection(matchCount))];
+
+    case 'Static':
+    default:
+      // No movement, tiles stay in place
+      return [];
+  }
+};
+
+/**
+ * Apply gravity and report where every tile went
+ * @param {string[][]} board - Board grid, empty cells are falsy
+ * @param {string|object} layoutType - Layout name or {type, ...options}, see getGravityPasses
+ * @param {number} [matchCount=1] - Matches played so far, including the one being settled (Rotate)
+ * @returns {{board: string[][], moves: {from: {row: number, col: number}, to: {row: number, col: number}}[]}}
+ *   New board and one move per tile that changed cell (tiles that stay put are omitted)
+ */
+export const applyGravityWithMoves = (board, layoutType, matchCount = 1) => {
+  if (board.length === 0) return { board: [], moves: [] };
+
+  const passes = getGravityPasses(board.length, board[0].length, layoutType, matchCount);
+  let current = board.map(row => [...row]);
+  // 每个格子上瓦片的初始位置，多轮重力后据此合成每块瓦片的移动
+  let origins = board.map((row, r) => row.map((tile, c) => (tile ? { row: r, col: c } : null)));
+
+  for (const lines of passes) {
+    const nextBoard = current.map(row => [...row]);
+    const nextOrigins = origins.map(row => [...row]);
+    for (const fullLine of lines) {
+      const line = fullLine.filter(({ row, col }) => !isBlockedCell(board[row][col]) && !isFixedObstacle(board[row][col]));
+      const lineTiles = line.filter(({ row, col }) => current[row][col]);
+      line.forEach(({ row, col }, index) => {
+        const source = lineTiles[index];
+        nextBoard[row][col] = source ? current[source.row][source.col] : '';
+        nextOrigins[row][col] = source ? origins[source.row][source.col] : null;
+      });
+    }
+    current = nextBoard;
+    origins = nextOrigins;
+  }
+
+  const moves = [];
+  origins.forEach((row, r) => row.forEach((origin, c) => {
+    if (origin && (origin.row !== r || origin.col !== c)) {
+      moves.push({ from: origin, to: { row: r, col: c } });
+    }
+  }));
+
+  return { board: current, moves };
+};
+
+/**
+ * Apply gravity effect based on layout type
+ * @param {string[][]} board - Board grid, empty cells are falsy
+ * @param {string|object} layoutType - Layout name or {type, ...options}, see getGravityPasses
+ * @param {number} [matchCount=1] - Matches played so far, including the one being settled (Rotate)
+ * @returns {string[][]} New board (the input is not modified)
+ */
+export const applyGravityEffect = (board, layoutType, matchCount) => applyGravityWithMoves(board, layoutType, matchCount).board;
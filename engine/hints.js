@@ -0,0 +1,63 @@
+/**
+ * Hints - Rank the available moves for the hint tool
+ * Purpose: Recommend a move that keeps the board clearable instead of the first pair found
+ * Extension: Add a criterion to compareLookahead to change how moves are ranked
+ *
+ * Every connectable pair is played one step ahead (removal + gravity) and the
+ * resulting position is judged by, in order: whether the solver can still clear
+ * it, how many moves it leaves available, and how many turns (bamboo) the move earns.
+ */
+
+import { applyMove, listMoves, solveBoard } from './solver.js';
+
+const DEFAULT_NODES_PER_MOVE = 100;
+const STATUS_RANK = { solved: 2, unknown: 1, lost: 0 };
+
+// 不考虑可解性时的排序：留下的可走步多者优先，其次转弯多（竹子多）者优先
+const compareLookahead = (x, y) => (y.movesAfter - x.movesAfter) || (y.turns - x.turns);
+
+/**
+ * Play every available move one step ahead
+ * @param {string[][]} board - Current board
+ * @param {object} options
+ * @param {string} options.layoutType - Gravity layout
+ * @param {object} [options.rules] - Connection rules, see findPath
+ * @param {number} [options.matchCount=0] - Matches already played on the board (Rotate)
+ * @returns {{a: object, b: object, kind: string, turns: number, after: string[][], movesAfter: number}[]}
+ *   Sorted by moves left afterwards, then by turns
+ */
+export const evaluateMoves = (board, { layoutType, rules, matchCount = 0 }) => {
+  return listMoves(board, rules)
+    .map(move => {
+      const after = applyMove(board, move, layoutType, matchCount + 1);
+      return { ...move, after, movesAfter: listMoves(after, rules).length };
+    })
+    .sort(compareLookahead);
+};
+
+/**
+ * Pick the move the smart hint should show
+ *
+ * Moves are ranked by solver status (solved > unknown > lost), then by
+ * evaluateMoves order. Because the secondary order is already sorted, the
+ * solver runs lazily and stops at the first move whose result can be cleared.
+ * @param {string[][]} board - Current board
+ * @param {object} options - See evaluateMoves
+ * @param {number} [options.nodesPerMove=100] - Solver budget for each candidate
+ * @returns {{tile1: {row: number, col: number}, tile2: {row: number, col: number}, status: string}|null}
+ *   null when no move is available
+ */
+export const findSmartHint = (board, { layoutType, rules, matchCount = 0, nodesPerMove = DEFAULT_NODES_PER_MOVE }) => {
+  let best = null;
+
+  for (const move of evaluateMoves(board, { layoutType, rules, matchCount })) {
+    const { status } = solveBoard(move.after, { layoutType, rules, matchCount: matchCount + 1, maxNodes: nodesPerMove });
+
+    if (!best || STATUS_RANK[status] > STATUS_RANK[best.status]) {
+      best = { tile1: move.a, tile2: move.b, status };
+    }
+    if (status === 'solved') break;
+  }
+
+  return best;
+};
@@ -0,0 +1,61 @@
+/**
+ * Layers - Stacked tiles that are revealed one at a time
+ * Purpose: Let a cell hold several tiles where only the exposed (top) one can be matched
+ * Extension: Everything reads the exposed tile through kindOf; only removal, counting and the memo key look below
+ *
+ * A stack is the exposed tile with the next tile down in flags.below (a kind
+ * string or a tile that may have its own below). The whole stack is the cell's
+ * content, so the router sees an occupied cell and gravity moves the stack as
+ * one piece. Removing the exposed tile leaves the tile beneath it in the cell.
+ */
+
+import { createTile, kindOf } from './tiles.js';
+
+// 被覆盖的下一块瓦片（没有则为 null）
+export const belowOf = (cell) => (cell && typeof cell === 'object' && cell.flags && cell.flags.below) || null;
+
+// 去掉下层后的露出瓦片本身（洗牌只移动露出的瓦片）
+export const withoutBelow = (cell) => {
+  if (!belowOf(cell)) return cell;
+  const flags = { ...cell.flags };
+  delete flags.below;
+  return { ...cell, flags };
+};
+
+// 把 tile 放在 below 之上（below 为空时原样返回 tile）
+export const placeOnStack = (tile, below) => {
+  if (!below) return tile;
+  const top = typeof tile === 'object' ? tile : createTile(0, tile);
+  return { ...top, flags: { ...top.flags, below } };
+};
+
+/**
+ * Build a stack from its tiles
+ * @param {Array} tiles - Kind strings or tile objects, exposed tile first
+ * @returns {*} The exposed tile, carrying the rest in flags.below
+ */
+export const stackTiles = (tiles) => tiles.reduceRight((below, tile) => placeOnStack(tile, below), null);
+
+/**
+ * Remove the exposed tile of a cell
+ * @param {*} cell - Board cell
+ * @param {*} [empty=''] - Value for a cell with nothing left ('' in kind grids, null in the game board)
+ * @returns {*} The tile beneath, or empty
+ */
+export const revealBelow = (cell, empty = '') => belowOf(cell) || empty;
+
+// 格子中的瓦片数（露出的加上被覆盖的）
+export const stackDepth = (cell) => {
+  let depth = 0;
+  for (let tile = cell; kindOf(tile); tile = belowOf(tile)) depth++;
+  return depth;
+};
+
+/**
+ * Count every tile on the board, covered ones included
+ * @param {Array[]} board - Board grid
+ * @returns {number}
+ */
+export const countAllTiles = (board) => {
+  return board.reduce((count, row) => count + row.reduce((sum, cell) => sum + stackDepth(cell), 0), 0);
+};
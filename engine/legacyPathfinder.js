@@ -0,0 +1,203 @@
+/**
+ * Legacy Pathfinder - Original brute-force ≤2-turn search
+ * Purpose: Reference implementation kept for benchmarking and cross-checking engine/router.js
+ * Extension: Do not use from gameplay code; engine/pathfinder.js is the supported entry point
+ *
+ * Coordinates are { row, col }. Cells one step outside the board (row -1 / rows,
+ * col -1 / cols) form the outer ring and are always treated as empty.
+ */
+
+const INVALID_RESULT = { isValid: false, path: [] };
+
+// 检查位置是否为空（可以通过）
+export const isEmpty = (board, row, col) => {
+  // 边界外视为空
+  if (row < 0 || row >= board.length || col < 0 || col >= board[0].length) {
+    return true;
+  }
+  return !board[row][col];
+};
+
+// 检查直线路径（水平或垂直）
+export const findStraightPath = (board, r1, c1, r2, c2) => {
+  const path = [];
+
+  if (r1 === r2) {
+    // 水平直线
+    const minCol = Math.min(c1, c2);
+    const maxCol = Math.max(c1, c2);
+
+    // 检查中间是否有障碍
+    for (let col = minCol + 1; col < maxCol; col++) {
+      if (!isEmpty(board, r1, col)) {
+        return INVALID_RESULT;
+      }
+      path.push({ row: r1, col });
+    }
+
+    // 路径按 (r1,c1) -> (r2,c2) 的方向排列
+    if (c1 > c2) path.reverse();
+    return { isValid: true, path };
+  } else if (c1 === c2) {
+    // 垂直直线
+    const minRow = Math.min(r1, r2);
+    const maxRow = Math.max(r1, r2);
+
+    // 检查中间是否有障碍
+    for (let row = minRow + 1; row < maxRow; row++) {
+      if (!isEmpty(board, row, c1)) {
+        return INVALID_RESULT;
+      }
+      path.push({ row, col: c1 });
+    }
+
+    if (r1 > r2) path.reverse();
+    return { isValid: true, path };
+  }
+
+  return INVALID_RESULT;
+};
+
+// 检查L形路径
+export const checkLPath = (board, r1, c1, rMid, cMid, r2, c2) => {
+  // 转折点必须为空
+  if (!isEmpty(board, rMid, cMid)) {
+    return INVALID_RESULT;
+  }
+
+  // 检查第一段路径
+  const segment1 = findStraightPath(board, r1, c1, rMid, cMid);
+  if (!segment1.isValid) {
+    return INVALID_RESULT;
+  }
+
+  // 检查第二段路径
+  const segment2 = findStraightPath(board, rMid, cMid, r2, c2);
+  if (!segment2.isValid) {
+    return INVALID_RESULT;
+  }
+
+  // 合并路径
+  return { isValid: true, path: [...segment1.path, { row: rMid, col: cMid }, ...segment2.path] };
+};
+
+// 检查一次转弯路径（L形）
+export const findOneCornerPath = (board, r1, c1, r2, c2) => {
+  // 路径1: (r1,c1) -> (r1,c2) -> (r2,c2)
+  const path1 = checkLPath(board, r1, c1, r1, c2, r2, c2);
+  if (path1.isValid) {
+    return path1;
+  }
+
+  // 路径2: (r1,c1) -> (r2,c1) -> (r2,c2)
+  const path2 = checkLPath(board, r1, c1, r2, c1, r2, c2);
+  if (path2.isValid) {
+    return path2;
+  }
+
+  return INVALID_RESULT;
+};
+
+// 检查通过中间点的两次转弯路径
+export const checkTwoCornerPath = (board, r1, c1, rMid, cMid, r2, c2) => {
+  // 中间点必须为空（如果在棋盘内）
+  if (!isEmpty(board, rMid, cMid)) {
+    return INVALID_RESULT;
+  }
+
+  // 1. 起点 -> 中间点（直线） -> 终点（直线）
+  const straightPath1 = findStraightPath(board, r1, c1, rMid, cMid);
+  const straightPath2 = findStraightPath(board, rMid, cMid, r2, c2);
+
+  if (straightPath1.isValid && straightPath2.isValid) {
+    return { isValid: true, path: [...straightPath1.path, { row: rMid, col: cMid }, ...straightPath2.path] };
+  }
+
+  // 2. 起点 -> 中间点（L形） -> 终点（直线）
+  const lPath1 = findOneCornerPath(board, r1, c1, rMid, cMid);
+
+  if (lPath1.isValid && straightPath2.isValid) {
+    return { isValid: true, path: [...lPath1.path, { row: rMid, col: cMid }, ...straightPath2.path] };
+  }
+
+  // 3. 起点 -> 中间点（直线） -> 终点（L形）
+  const lPath2 = findOneCornerPath(board, rMid, cMid, r2, c2);
+
+  if (straightPath1.isValid && lPath2.isValid) {
+    return { isValid: true, path: [...straightPath1.path, { row: rMid, col: cMid }, ...lPath2.path] };
+  }
+
+  return INVALID_RESULT;
+};
+
+// 检查两次转弯路径
+export const findTwoCornerPath = (board, r1, c1, r2, c2) => {
+  const boardHeight = board.length;
+  const boardWidth = board[0].length;
+
+  // 首先尝试棋盘内部的所有空白位置作为中转点
+  for (let row = 0; row < boardHeight; row++) {
+    for (let col = 0; col < boardWidth; col++) {
+      if (isEmpty(board, row, col)) {
+        const path = checkTwoCornerPath(board, r1, c1, row, col, r2, c2);
+        if (path.isValid) return path;
+      }
+    }
+  }
+
+  // 然后尝试通过边界外的路径连接（上、下、左、右）
+  for (let col = -1; col <= boardWidth; col++) {
+    const path = checkTwoCornerPath(board, r1, c1, -1, col, r2, c2);
+    if (path.isValid) return path;
+  }
+
+  for (let col = -1; col <= boardWidth; col++) {
+    const path = checkTwoCornerPath(board, r1, c1, boardHeight, col, r2, c2);
+    if (path.isValid) return path;
+  }
+
+  for (let row = -1; row <= boardHeight; row++) {
+    const path = checkTwoCornerPath(board, r1, c1, row, -1, r2, c2);
+    if (path.isValid) return path;
+  }
+
+  for (let row = -1; row <= boardHeight; row++) {
+    const path = checkTwoCornerPath(board, r1, c1, row, boardWidth, r2, c2);
+    if (path.isValid) return path;
+  }
+
+  return INVALID_RESULT;
+};
+
+/**
+ * Find a connection path between two tiles (连连看核心逻辑)
+ * @param {string[][]} board - Board grid, empty cells are falsy
+ * @param {{row: number, col: number}} tile1 - Start tile
+ * @param {{row: number, col: number}} tile2 - End tile
+ * @returns {{isValid: boolean, turns: number, path: {row: number, col: number}[]}}
+ *   path lists the cells strictly between tile1 and tile2, in order
+ */
+export const findPathLegacy = (board, tile1, tile2) => {
+  const { row: r1, col: c1 } = tile1;
+  const { row: r2, col: c2 } = tile2;
+
+  // 检查直线连接（0转弯）
+  const straightPath = findStraightPath(board, r1, c1, r2, c2);
+  if (straightPath.isValid) {
+    return { isValid: true, turns: 0, path: straightPath.path };
+  }
+
+  // 检查一次转弯连接（1转弯）
+  const oneCornerPath = findOneCornerPath(board, r1, c1, r2, c2);
+  if (oneCornerPath.isValid) {
+    return { isValid: true, turns: 1, path: oneCornerPath.path };
+  }
+
+  // 检查两次转弯连接（2转弯）
+  const twoCornerPath = findTwoCornerPath(board, r1, c1, r2, c2);
+  if (twoCornerPath.isValid) {
+    return { isValid: true, turns: 2, path: twoCornerPath.path };
+  }
+
+  return { isValid: false, turns: -1, path: [] };
+};
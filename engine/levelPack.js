@@ -0,0 +1,225 @@
+/**
+ * LevelPack - Data-driven level definitions
+ * Purpose: Validate JSON level packs and turn their masks and fixed boards into engine grids
+ * Extension: Add a checker to FIELD_CHECKS; GameUtils reads the field through getLevelDefinition
+ *
+ * A pack is { id, name, version, levels: [{ level, ...fields }] }. Every field
+ * is optional and overrides the formula GameUtils would use otherwise:
+ * size, kinds, layout, timeLimit, hearts, rules, shape, mask, obstacles,
+ * specials, layers, board and stars ([seconds left for 2 stars, for 3 stars]).
+ * Masks are row strings ('.' playable, 'o' HOLE, '#' WALL). Fixed boards are
+ * rows of cells: a kind, '' for empty, 'hole' / 'wall', an obstacle type, or a
+ * tile-like object { kind, flags } for special and stacked tiles.
+ */
+
+import { HOLE, WALL, kindOf } from './tiles.js';
+import { SHAPES, countPlayableCells } from './shapes.js';
+import { OBSTACLE_TYPES, createObstacle } from './obstacles.js';
+import { SPECIAL_TYPES, WILDCARD_KIND, isWildcard } from './specials.js';
+import { belowOf } from './layers.js';
+import { getLayoutName } from './gravity.js';
+
+const MASK_CELLS = { '.': '', o: HOLE, '#': WALL };
+// 关卡规则允许的最多拐弯数（游戏中最宽松的规则）
+const MAX_TURNS = 3;
+
+const isCount = (value) => Number.isInteger(value) && value >= 0;
+const isPositiveInteger = (value) => Number.isInteger(value) && value > 0;
+
+/**
+ * Turn mask rows into a mask grid
+ * @param {string[]} rows - e.g. ['o..o', '....']
+ * @returns {string[][]} '' for playable cells, HOLE / WALL for blocked cells
+ */
+export const parseMask = (rows) => rows.map(row => [...row].map(char => MASK_CELLS[char]));
+
+/**
+ * Turn fixed board rows into a board in generator form
+ * @param {Array[]} rows - Rows of pack cells
+ * @returns {Array[]} Kind grid with obstacle and special tiles as objects, '' for empty cells
+ */
+export const parseBoard = (rows) => rows.map(row => row.map(parseCell));
+
+// 单个格子；叠放在下层的瓦片（flags.below）同样可以写成字符串或对象
+const parseCell = (cell) => {
+  if (typeof cell === 'string' && OBSTACLE_TYPES[cell]) return createObstacle(cell);
+  if (cell && typeof cell === 'object') {
+    const flags = { ...cell.flags };
+    if (flags.below) flags.below = parseCell(flags.below);
+    // 万能牌不论写成什么种类都归为 WILDCARD_KIND
+    return { id: 0, kind: flags.special === 'wildcard' ? WILDCARD_KIND : cell.kind, flags };
+  }
+  return cell || '';
+};
+
+// 网格各行等长且非空
+const checkGrid = (rows, isRow) => {
+  if (!Array.isArray(rows) || rows.length === 0 || !rows.every(isRow)) return false;
+  return rows.every(row => row.length === rows[0].length && row.length > 0);
+};
+
+// 固定棋盘上（含叠放在下层的）第一个不在 tileKinds 中的种类，没有时返回 null（万能牌除外）
+const findUnknownKind = (board, tileKinds) => {
+  for (const cell of board.flat()) {
+    for (let tile = cell; kindOf(tile); tile = belowOf(tile)) {
+      if (!isWildcard(tile) && !tileKinds.includes(kindOf(tile))) return kindOf(tile);
+    }
+  }
+  return null;
+};
+
+// 固定棋盘的每种瓦片都要成对，万能牌（WILDCARD_KIND）也一样：见 engine/specials 的 bindWildcard
+const checkBoardPairs = (board) => {
+  const counts = new Map();
+  board.forEach(row => row.forEach(cell => {
+    for (let tile = cell; kindOf(tile); tile = belowOf(tile)) {
+      counts.set(kindOf(tile), (counts.get(kindOf(tile)) || 0) + 1);
+    }
+  }));
+  if (counts.size === 0) return 'board has no tiles';
+  if ([...counts.values()].some(count => count % 2 === 1)) return 'board tiles cannot all be paired';
+  return null;
+};
+
+// 每个字段的检查：返回错误说明，合法时返回 null
+const FIELD_CHECKS = {
+  size: (value) => (isPositiveInteger(value) && value % 2 === 0 ? null : 'size must be a positive even integer'),
+  kinds: (value, { tileKinds }) => (
+    isPositiveInteger(value) && value <= tileKinds.length ? null : `kinds must be 1-${tileKinds.length}`
+  ),
+  layout: (value, { layouts }) => (layouts.includes(getLayoutName(value)) ? null : `unknown layout ${JSON.stringify(value)}`),
+  timeLimit: (value) => (isPositiveInteger(value) ? null : 'timeLimit must be a positive integer (seconds)'),
+  hearts: (value) => (isPositiveInteger(value) ? null : 'hearts must be a positive integer'),
+  rules: (value) => {
+    if (!value || typeof value !== 'object') return 'rules must be an object';
+    if (value.maxTurns !== undefined && !(isCount(value.maxTurns) && value.maxTurns <= MAX_TURNS)) {
+      return `rules.maxTurns must be an integer 0-${MAX_TURNS}`;
+    }
+    const flags = ['allowOuterRing', 'allowDiagonal'].filter(key => value[key] !== undefined && typeof value[key] !== 'boolean');
+    return flags.length > 0 ? `rules.${flags[0]} must be a boolean` : null;
+  },
+  shape: (value) => (SHAPES[value] ? null : `unknown shape ${JSON.stringify(value)}`),
+  mask: (value) => {
+    if (!checkGrid(value, row => typeof row === 'string')) return 'mask must be non-empty rows of equal length';
+    return value.every(row => [...row].every(char => char in MASK_CELLS)) ? null : "mask rows may only use '.', 'o' and '#'";
+  },
+  obstacles: (value) => (
+    Array.isArray(value) && value.every(({ type, count } = {}) => OBSTACLE_TYPES[type] && isCount(count))
+      ? null
+      : 'obstacles must be [{ type, count }] with a known type'
+  ),
+  specials: (value) => (
+    Array.isArray(value) && value.every(({ type, count, moves } = {}) => (
+      SPECIAL_TYPES.includes(type) && isCount(count) && (type !== 'countdown' || isPositiveInteger(moves))
+    ))
+      ? null
+      : 'specials must be [{ type, count }] with a known type (countdown also needs moves)'
+  ),
+  layers: (value) => (
+    value === null || (value && Number.isInteger(value.depth) && value.depth >= 2 && isCount(value.cells))
+      ? null
+      : 'layers must be null or { depth >= 2, cells }'
+  ),
+  board: (value, { tileKinds }) => {
+    if (!checkGrid(value, Array.isArray)) return 'board must be non-empty rows of equal length';
+    const badCell = value.flat().find(cell => !(typeof cell === 'string' || (cell && typeof cell.kind === 'string' && cell.kind)));
+    if (badCell !== undefined) return `bad board cell ${JSON.stringify(badCell)}`;
+    const board = parseBoard(value);
+    const unknownKind = findUnknownKind(board, tileKinds);
+    if (unknownKind) return `unknown tile kind ${JSON.stringify(unknownKind)} (not in TILE_KINDS)`;
+    return checkBoardPairs(board);
+  },
+  stars: (value) => (
+    Array.isArray(value) && value.length === 2 && value.every(isCount) && value[0] <= value[1]
+      ? null
+      : 'stars must be [seconds left for 2 stars, seconds left for 3 stars], ascending'
+  )
+};
+
+// 与 generateBoard 的前提一致：障碍物不多于可放置的格子，叠放的格子不多于剩下的格子，瓦片总数为正偶数
+const checkTileCount = ({ mask, obstacles = [], layers = null }) => {
+  const freeCells = countPlayableCells(mask) - obstacles.reduce((sum, { count }) => sum + count, 0);
+  if (freeCells <= 0) return 'obstacles leave no cells for tiles';
+  if (layers && layers.cells > freeCells) return `layers.cells must be at most ${freeCells} (the cells left for tiles)`;
+  const tiles = freeCells + (layers ? layers.cells * (layers.depth - 1) : 0);
+  return tiles % 2 === 1 ? 'board shape, obstacles and layers leave an odd number of tiles' : null;
+};
+
+// 固定棋盘已经决定了形状和瓦片，不能再与生成器字段同时出现
+const GENERATOR_FIELDS = ['size', 'shape', 'mask', 'obstacles', 'specials', 'layers'];
+
+/**
+ * Check the fields of one level definition (the level number is checked by loadLevelPacks)
+ * @param {object} definition - Pack entry, or a definition without a level such as the editor's
+ * @param {object} options - See loadLevelPacks
+ * @returns {string[]} Problems found, empty when the definition is valid
+ */
+export const validateLevel = (definition, options) => {
+  if (!definition || typeof definition !== 'object') return ['level definition must be an object'];
+
+  const errors = Object.keys(definition)
+    .filter(field => field !== 'level')
+    .map(field => (FIELD_CHECKS[field] ? FIELD_CHECKS[field](definition[field], options) : `unknown field ${field}`))
+    .filter(Boolean);
+
+  if (definition.board) {
+    const conflicts = GENERATOR_FIELDS.filter(field => field in definition);
+    if (conflicts.length > 0) errors.push(`board cannot be combined with ${conflicts.join(', ')}`);
+  }
+  if (definition.shape && definition.mask) errors.push('use either shape or mask');
+
+  // 生成的棋盘（形状扣除障碍物、加上叠放的瓦片）必须放得下且是偶数块，否则 generateBoard 会抛错
+  if (errors.length === 0 && !definition.board) {
+    const resolved = options.resolveLevel
+      ? options.resolveLevel(definition)
+      : definition.mask && { mask: parseMask(definition.mask), obstacles: definition.obstacles, layers: definition.layers };
+    const problem = resolved && checkTileCount(resolved);
+    if (problem) errors.push(problem);
+  }
+  return errors;
+};
+
+/**
+ * Validate level packs and merge their levels
+ *
+ * Invalid levels are skipped and reported; later packs override earlier ones
+ * level by level.
+ * @param {object[]} packs - Parsed JSON packs
+ * @param {object} options
+ * @param {string[]} options.tileKinds - Available kinds, usually GAME_CONSTANTS.TILE_KINDS
+ * @param {string[]} options.layouts - Known layout names, usually GAME_CONSTANTS.LAYOUTS
+ * @param {(definition: object) => {mask: string[][], obstacles: object[], layers: object|null}} [options.resolveLevel] -
+ *   Board shape, obstacles and layers a definition is played with (fields it leaves out come from the level
+ *   formulas), used to check the tile count; without it only definitions with a mask are checked
+ * @returns {{levels: Map<number, object>, errors: string[]}} Valid definitions by level number and every problem found
+ */
+export const loadLevelPacks = (packs, options) => {
+  const levels = new Map();
+  const errors = [];
+
+  packs.forEach((pack, index) => {
+    const packName = pack?.id || `#${index}`;
+    if (!pack || !Array.isArray(pack.levels)) {
+      errors.push(`pack ${packName}: levels must be an array`);
+      return;
+    }
+
+    const seen = new Set();
+    pack.levels.forEach(definition => {
+      const label = `pack ${packName}, level ${definition?.level}`;
+      const problems = isPositiveInteger(definition?.level)
+        ? validateLevel(definition, options)
+        : ['level must be a positive integer'];
+      if (problems.length === 0 && seen.has(definition.level)) problems.push('defined twice in the pack');
+
+      if (problems.length > 0) {
+        problems.forEach(problem => errors.push(`${label}: ${problem}`));
+        return;
+      }
+      seen.add(definition.level);
+      levels.set(definition.level, definition);
+    });
+  });
+
+  return { levels, errors };
+};
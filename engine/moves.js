@@ -0,0 +1,111 @@
+/**
+ * Moves - Board changes caused by the player's moves and tools
+ * Purpose: One implementation of match removal, bomb removal and shuffling for the game screen and the replay viewer
+ * Extension: A new tool that changes the board adds its function here so replays rebuild it the same way
+ *
+ * All functions work on tile grids (gameState.board) and return new boards.
+ * Randomness only comes from the rng passed in, so a logged rng state
+ * reproduces the same shuffle. matchCount is the number of matches played
+ * (gameState.matchCount), which sets the Rotate gravity direction.
+ */
+
+import { applyGravityEffect } from './gravity.js';
+import { isBlockedCell, kindOf } from './tiles.js';
+import { damageObstacles, isObstacle } from './obstacles.js';
+import { bindWildcard, tickCountdowns, unlockNeighbors } from './specials.js';
+import { belowOf, placeOnStack, revealBelow, withoutBelow } from './layers.js';
+import { shuffleInPlace } from './random.js';
+import { hasConnectablePair } from './pathfinder.js';
+import { solveBoard } from './solver.js';
+
+/**
+ * Remove tiles and let the level's gravity settle the board
+ *
+ * Stacked cells reveal their next tile. Matches also hit the obstacles and
+ * break the locks next to them and bind a wildcard (see bindWildcard); bomb
+ * removals do not.
+ * @param {Array[]} board - Tile grid
+ * @param {{row: number, col: number}[]} cells - Cells to clear
+ * @param {object} options
+ * @param {string|object} options.layoutType - Gravity layout
+ * @param {boolean} [options.damage=false] - Whether the removal is a match
+ * @param {number} [options.matchCount=0] - Matches played, including this removal when it is a match
+ * @returns {Array[]} New board
+ */
+export const settleRemoval = (board, cells, { layoutType, damage = false, matchCount = 0 }) => {
+  let clearedBoard = board.map(row => [...row]);
+  cells.forEach(({ row, col }) => {
+    clearedBoard[row][col] = revealBelow(board[row][col], null);
+  });
+  if (damage) {
+    clearedBoard = unlockNeighbors(damageObstacles(clearedBoard, cells).board, cells);
+    if (cells.length === 2) {
+      clearedBoard = bindWildcard(clearedBoard, board[cells[0].row][cells[0].col], board[cells[1].row][cells[1].col]);
+    }
+  }
+  return applyGravityEffect(clearedBoard, layoutType, matchCount);
+};
+
+/**
+ * Play a match: remove the pair, settle the board and count down the countdown tiles
+ * @param {Array[]} board - Tile grid
+ * @param {{row: number, col: number}[]} cells - The matched pair
+ * @param {string|object} layoutType - Gravity layout
+ * @param {number} matchCount - Matches played, including this one
+ * @returns {{board: Array[], expired: {row: number, col: number}[]}} New board and the countdown tiles that ran out
+ */
+export const applyMatch = (board, cells, layoutType, matchCount) => {
+  return tickCountdowns(settleRemoval(board, cells, { layoutType, damage: true, matchCount }));
+};
+
+/**
+ * Shuffle the exposed tiles until the board can be cleared or the tries run out
+ *
+ * Stacked cells stay where they are and get a new exposed tile; blocked cells
+ * and obstacles never move. Gravity is applied after every shuffle.
+ * @param {Array[]} board - Tile grid
+ * @param {object} options
+ * @param {string|object} options.layoutType - Gravity layout
+ * @param {object} options.rules - Connection rules
+ * @param {() => number} options.rng - Seeded generator from engine/random
+ * @param {number} [options.maxTries=30] - Shuffles to try
+ * @param {number} [options.maxNodes] - Solver budget per shuffle
+ * @param {number} [options.matchCount=0] - Matches played so far
+ * @returns {Array[]} A solvable arrangement, else the first one with a move, else the input board
+ */
+export const shuffleExposedTiles = (board, { layoutType, rules, rng, maxTries = 30, maxNodes, matchCount = 0 }) => {
+  const flatten = [];
+  board.forEach(row => row.forEach(tile => { if (kindOf(tile)) flatten.push(withoutBelow(tile)); }));
+  let fallback = null;
+
+  for (let attempt = 0; attempt < maxTries; attempt++) {
+    shuffleInPlace(flatten, rng);
+
+    // 先给叠放的格子换上露出瓦片，再按行回填
+    let idx = 0;
+    const shuffled = board.map(row => row.map(cell => {
+      if (isBlockedCell(cell) || isObstacle(cell)) return cell;
+      return belowOf(cell) ? placeOnStack(flatten[idx++], belowOf(cell)) : '';
+    }));
+    for (let r = 0; r < shuffled.length; r++) {
+      for (let c = 0; c < shuffled[0].length; c++) {
+        if (idx < flatten.length && shuffled[r][c] === '') {
+          shuffled[r][c] = flatten[idx++];
+        }
+      }
+    }
+
+    const afterGravity = applyGravityEffect(shuffled, layoutType, matchCount);
+    if (!hasConnectablePair(afterGravity, rules)) continue;
+
+    const { status } = solveBoard(afterGravity, { layoutType, rules, maxNodes, matchCount });
+    if (status === 'solved') {
+      return afterGravity;
+    }
+    // 预算内没能证明可解时，先记下第一个至少有可走步的排列
+    if (status === 'unknown' && !fallback) {
+      fallback = afterGravity;
+    }
+  }
+  return fallback || board;
+};
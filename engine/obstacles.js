@@ -0,0 +1,96 @@
+/**
+ * Obstacles - Non-matchable tiles that block connection paths
+ * Purpose: Rocks and ice that the router treats as occupied cells and the player cannot select
+ * Extension: Add an entry to OBSTACLE_TYPES; fixed obstacles stay put, the others move with gravity
+ *
+ * An obstacle is a tile whose kind is '' and whose flags carry the obstacle type
+ * and the adjacent matches it still takes to break (0 = never breaks). Because
+ * kindOf returns '' for it, it never matches anything and does not count toward
+ * clearing the board; because the cell is not empty, paths cannot cross it.
+ */
+
+import { createTile } from './tiles.js';
+import { randomInt } from './random.js';
+
+export const OBSTACLE_TYPES = {
+  // 岩石：随重力移动，相邻消除两次才碎
+  rock: { fixed: false, hits: 2 },
+  // 冰块：固定不动，相邻消除一次即碎
+  ice: { fixed: true, hits: 1 }
+};
+
+const NEIGHBORS = [[-1, 0], [1, 0], [0, -1], [0, 1]];
+
+/**
+ * Create an obstacle tile
+ * @param {string} type - Key of OBSTACLE_TYPES
+ * @param {number} [id=0] - Tile id (assigned by toTileGrid for generated boards)
+ * @returns {{id: number, kind: string, flags: {obstacle: string, hits: number}}}
+ */
+export const createObstacle = (type, id = 0) => createTile(id, '', { obstacle: type, hits: OBSTACLE_TYPES[type].hits });
+
+// 是否为障碍物
+export const isObstacle = (cell) => Boolean(cell && cell.flags && cell.flags.obstacle);
+
+// 是否为不随重力移动的障碍物
+export const isFixedObstacle = (cell) => isObstacle(cell) && OBSTACLE_TYPES[cell.flags.obstacle].fixed;
+
+/**
+ * Damage the obstacles next to matched cells; each obstacle takes at most one hit per call
+ * @param {Array[]} board - Board right after the matched tiles were removed
+ * @param {{row: number, col: number}[]} cells - Cells of the matched tiles
+ * @returns {{board: Array[], broken: {row: number, col: number}[]}} New board and the cells of obstacles that broke
+ */
+export const damageObstacles = (board, cells) => {
+  const newBoard = board.map(row => [...row]);
+  const broken = [];
+  const hit = new Set();
+
+  cells.forEach(({ row, col }) => {
+    NEIGHBORS.forEach(([dr, dc]) => {
+      const r = row + dr;
+      const c = col + dc;
+      const cell = newBoard[r]?.[c];
+      const key = `${r},${c}`;
+      if (!isObstacle(cell) || cell.flags.hits === 0 || hit.has(key)) return;
+      hit.add(key);
+
+      if (cell.flags.hits === 1) {
+        newBoard[r][c] = null;
+        broken.push({ row: r, col: c });
+      } else {
+        newBoard[r][c] = { ...cell, flags: { ...cell.flags, hits: cell.flags.hits - 1 } };
+      }
+    });
+  });
+
+  return { board: newBoard, broken };
+};
+
+/**
+ * Put obstacles on random free cells of an empty board
+ * @param {string[][]} emptyBoard - Board with '' for free cells (HOLE / WALL kept)
+ * @param {{type: string, count: number}[]} obstacles - Obstacles to place
+ * @param {() => number} rng - Seeded generator from engine/random
+ * @param {(type: string, cell: {row: number, col: number}) => boolean} [canPlace] - Cells an obstacle type may
+ *   take; obstacles that find no such cell are left out
+ * @returns {Array[]} New board with the obstacles placed
+ */
+export const placeObstacles = (emptyBoard, obstacles, rng, canPlace = () => true) => {
+  const newBoard = emptyBoard.map(row => [...row]);
+  const free = [];
+  newBoard.forEach((row, r) => row.forEach((cell, c) => {
+    if (cell === '') free.push({ row: r, col: c });
+  }));
+
+  obstacles.forEach(({ type, count }) => {
+    for (let i = 0; i < count; i++) {
+      const allowed = free.filter(cell => canPlace(type, cell));
+      if (allowed.length === 0) break;
+      const cell = allowed[randomInt(rng, allowed.length)];
+      free.splice(free.indexOf(cell), 1);
+      newBoard[cell.row][cell.col] = createObstacle(type);
+    }
+  });
+  return newBoard;
+};
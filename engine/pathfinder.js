@@ -0,0 +1,100 @@
+/**
+ * Pathfinder - Tile connectivity engine
+ * Purpose: Answer "can these two tiles be linked under the level's rules?" for any board
+ * Extension: Pure functions only (no React, no store), safe to unit-test or run off the UI thread
+ *
+ * Coordinates are { row, col }. Cells one step outside the board (row -1 / rows,
+ * col -1 / cols) form the outer ring and are treated as empty unless the rules
+ * passed in set allowOuterRing to false.
+ */
+
+import { findMinTurnPath, DEFAULT_MAX_TURNS, DEFAULT_RULES } from './router.js';
+import { kindOf } from './tiles.js';
+import { canMatch } from './specials.js';
+
+export { DEFAULT_MAX_TURNS, DEFAULT_RULES };
+
+/**
+ * Find a connection path between two tiles (连连看核心逻辑)
+ * @param {string[][]} board - Board grid, empty cells are falsy
+ * @param {{row: number, col: number}} tile1 - Start tile
+ * @param {{row: number, col: number}} tile2 - End tile
+ * @param {object} [rules] - Connection rules ({maxTurns, allowOuterRing, allowDiagonal}),
+ *   defaults to DEFAULT_RULES (≤2 turns, outer ring allowed, no diagonals)
+ * @returns {{isValid: boolean, turns: number, path: {row: number, col: number}[]}}
+ *   path lists the cells strictly between tile1 and tile2, in order
+ */
+export const findPath = (board, tile1, tile2, rules) => {
+  return findMinTurnPath(board, tile1, tile2, rules);
+};
+
+/**
+ * Reduce a path to the cells where it turns, e.g. for drawing the connection line
+ * @param {{row: number, col: number}} tile1 - Start tile
+ * @param {{row: number, col: number}[]} path - Intermediate cells as returned by findPath
+ * @param {{row: number, col: number}} tile2 - End tile
+ * @returns {{row: number, col: number}[]} Corner cells in order (may lie on the outer ring)
+ */
+export const getPathCorners = (tile1, path, tile2) => {
+  const points = [tile1, ...path, tile2];
+  return path.filter((cell, i) => {
+    const prev = points[i];
+    const next = points[i + 2];
+    const sameDirection = (cell.row - prev.row) === (next.row - cell.row) &&
+      (cell.col - prev.col) === (next.col - cell.col);
+    return !sameDirection;
+  });
+};
+
+/**
+ * Collect every non-empty tile on the board in row-major order
+ * @param {string[][]} board - Board grid
+ * @returns {{row: number, col: number, type: string}[]}
+ */
+export const collectTiles = (board) => {
+  const tiles = [];
+  for (let row = 0; row < board.length; row++) {
+    for (let col = 0; col < board[row].length; col++) {
+      const type = kindOf(board[row][col]);
+      if (type) {
+        tiles.push({ row, col, type });
+      }
+    }
+  }
+  return tiles;
+};
+
+/**
+ * Find the first connectable pair in row-major order
+ * @param {string[][]} board - Board grid
+ * @param {object} [rules] - Connection rules, see findPath
+ * @returns {{tile1: object, tile2: object, pathResult: object}|null} null when no move exists
+ */
+export const findConnectablePair = (board, rules) => {
+  const tiles = collectTiles(board);
+
+  for (let i = 0; i < tiles.length; i++) {
+    for (let j = i + 1; j < tiles.length; j++) {
+      const tile1 = tiles[i];
+      const tile2 = tiles[j];
+
+      // 只检查可以配对的瓦片（相同类型或万能牌，锁住的不算）
+      if (canMatch(board[tile1.row][tile1.col], board[tile2.row][tile2.col])) {
+        const pathResult = findPath(board, tile1, tile2, rules);
+        if (pathResult.isValid) {
+          return { tile1, tile2, pathResult };
+        }
+      }
+    }
+  }
+
+  return null;
+};
+
+// 检查棋盘是否至少有一对可连接的瓦片
+export const hasConnectablePair = (board, rules) => findConnectablePair(board, rules) !== null;
+
+// 死局：还有瓦片但没有任何可连接的瓦片对
+export const isDeadlocked = (board, rules) => {
+  return collectTiles(board).length > 0 && !hasConnectablePair(board, rules);
+};
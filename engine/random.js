@@ -0,0 +1,61 @@
+/**
+ * Random - Seedable pseudo-random numbers for board generation and tools
+ * Purpose: Make every board, shuffle and bomb roll reproducible from a single seed
+ * Extension: The generator state is one uint32, so it can be stored in gameState and persisted
+ */
+
+const SEED_RADIX = 36;
+
+/**
+ * Create a mulberry32 generator
+ * @param {number} seed - Seed or a state previously returned by rng.getState()
+ * @returns {(() => number) & {getState: () => number}} Function returning floats in [0, 1)
+ */
+export const createRng = (seed) => {
+  let state = seed >>> 0;
+
+  const rng = () => {
+    state = (state + 0x6d2b79f5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+  rng.getState = () => state;
+
+  return rng;
+};
+
+// 新的随机种子（仅在开始新棋盘时使用 Math.random）
+export const randomSeed = () => Math.floor(Math.random() * 4294967296) >>> 0;
+
+// 0 <= n < max 的随机整数
+export const randomInt = (rng, max) => Math.floor(rng() * max);
+
+// Fisher-Yates 洗牌（原地修改并返回数组）
+export const shuffleInPlace = (items, rng) => {
+  for (let i = items.length - 1; i > 0; i--) {
+    const j = randomInt(rng, i + 1);
+    [items[i], items[j]] = [items[j], items[i]];
+  }
+  return items;
+};
+
+// 种子显示为便于分享的短字符串，例如 "1Z4K9QF"
+export const formatSeed = (seed) => (seed >>> 0).toString(SEED_RADIX).toUpperCase();
+
+/**
+ * Parse a seed typed or shared by a player
+ * @param {string|number} value - Seed text as produced by formatSeed, or a raw number
+ * @returns {number|null} uint32 seed, or null if the value is not a valid seed
+ */
+export const parseSeed = (value) => {
+  if (typeof value === 'number') {
+    return Number.isFinite(value) ? value >>> 0 : null;
+  }
+  const text = String(value || '').trim();
+  if (!/^[0-9a-z]{1,7}$/i.test(text)) return null;
+
+  const seed = parseInt(text, SEED_RADIX);
+  return seed <= 0xffffffff ? seed >>> 0 : null;
+};
@@ -0,0 +1,92 @@
+/**
+ * Replay - Move logs of level attempts and the positions they pass through
+ * Purpose: Record what the player did compactly and rebuild every position from the level seed
+ * Extension: Log a new move type with its cells / rng state and handle it in buildReplayFrames
+ *
+ * A log is { level, seed, layout, startedAt, moves }. Each move is
+ * { type, t, rng, cells? }: t is the game-clock time since the attempt started
+ * (ms, pauses excluded), rng the generator state when it was logged (replays
+ * shuffles exactly) and cells [[row, col], ...]. Types: 'match' and 'miss' (a pair), 'bomb' (removed
+ * cells), 'shuffle', 'undo' and 'hint' (shown, no board change).
+ */
+
+import { createRng } from './random.js';
+import { findPath, isDeadlocked } from './pathfinder.js';
+import { applyMatch, settleRemoval, shuffleExposedTiles } from './moves.js';
+
+// 炸弹后出现死局时自动洗牌的尝试次数（与局内一致）
+export const BOMB_RESHUFFLE_TRIES = 25;
+
+/**
+ * Start the log of a level attempt
+ * @param {object} attempt
+ * @param {number} attempt.level - Level number
+ * @param {number} attempt.seed - Board seed
+ * @param {string|object} attempt.layout - Gravity layout
+ * @param {number} attempt.startedAt - Start time (ms)
+ * @returns {{level: number, seed: number, layout: string|object, startedAt: number, moves: object[]}}
+ */
+export const createMoveLog = ({ level, seed, layout, startedAt }) => ({ level, seed, layout, startedAt, moves: [] });
+
+// 格子坐标的紧凑形式：{row, col} <-> [row, col]
+export const packCells = (cells) => cells.map(({ row, col }) => [row, col]);
+export const unpackCells = (cells = []) => cells.map(([row, col]) => ({ row, col }));
+
+/**
+ * Rebuild every position of a logged attempt
+ * @param {Array[]} initialBoard - Tile grid the attempt started from (regenerated from log.seed)
+ * @param {object[]} moves - log.moves
+ * @param {object} options
+ * @param {string|object} options.layoutType - Gravity layout
+ * @param {object} options.rules - Connection rules
+ * @param {number} [options.maxNodes] - Solver budget per shuffle, as in the game
+ * @returns {{board: Array[], matchCount: number, heartsLost: number, move?: object, path?: object[]}[]}
+ *   Frame 0 is the start; frame i is the position after moves[i - 1] (path: the connection drawn by a match,
+ *   matchCount: matches played so far, as in gameState)
+ */
+export const buildReplayFrames = (initialBoard, moves, { layoutType, rules, maxNodes }) => {
+  const frames = [{ board: initialBoard, matchCount: 0, heartsLost: 0 }];
+  // 撤销只回退消除，炸弹和洗牌之后清空（与局内的 moveHistory 一致）
+  let history = [];
+
+  moves.forEach(move => {
+    const { board, matchCount, heartsLost } = frames[frames.length - 1];
+    const cells = unpackCells(move.cells);
+    const shuffleOptions = { layoutType, rules, maxNodes, matchCount, rng: createRng(move.rng) };
+    let frame = { board, matchCount, heartsLost, move };
+
+    switch (move.type) {
+      case 'match': {
+        const { path } = findPath(board, cells[0], cells[1], rules);
+        const { board: newBoard, expired } = applyMatch(board, cells, layoutType, matchCount + 1);
+        history.push({ board, matchCount });
+        frame = { ...frame, board: newBoard, matchCount: matchCount + 1, heartsLost: heartsLost + expired.length, path };
+        break;
+      }
+      case 'miss':
+        frame = { ...frame, heartsLost: heartsLost + 1 };
+        break;
+      case 'bomb': {
+        let newBoard = settleRemoval(board, cells, { layoutType, matchCount });
+        if (isDeadlocked(newBoard, rules)) {
+          newBoard = shuffleExposedTiles(newBoard, { ...shuffleOptions, maxTries: BOMB_RESHUFFLE_TRIES });
+        }
+        history = [];
+        frame = { ...frame, board: newBoard };
+        break;
+      }
+      case 'shuffle':
+        history = [];
+        frame = { ...frame, board: shuffleExposedTiles(board, shuffleOptions) };
+        break;
+      case 'undo':
+        if (history.length > 0) frame = { ...frame, ...history.pop() };
+        break;
+      default:
+        break;
+    }
+    frames.push(frame);
+  });
+
+  return frames;
+};
@@ -0,0 +1,263 @@
+/**
+ * Router - Minimum-turn path search between two tiles
+ * Purpose: Shortest path over (cell, heading) states on the board padded with the outer ring
+ * Extension: Pure module; connection rules (turn limit, outer ring, diagonals) are options,
+ *            so rule variants don't need new code
+ *
+ * Routes are ranked lexicographically by (turns, length, ring cells used), so among
+ * all minimum-turn routes the shortest one wins and detours around the board edge
+ * only happen when they are actually shorter. Remaining ties go to the route found
+ * first, with headings always tried in up, right, down, left order, so the result is
+ * deterministic for a given board.
+ */
+
+import { isPassableCell } from './tiles.js';
+
+export const DEFAULT_MAX_TURNS = 2;
+
+// 默认连接规则：≤2转弯，可绕棋盘外圈，斜向相邻不算连通
+export const DEFAULT_RULES = {
+  maxTurns: DEFAULT_MAX_TURNS,
+  allowOuterRing: true,
+  allowDiagonal: false
+};
+
+// 方向顺序：上、右、下、左（同时也是平局时的优先顺序）
+const DIRECTIONS = [
+  [-1, 0],
+  [0, 1],
+  [1, 0],
+  [0, -1]
+];
+
+const NO_PATH = { isValid: false, turns: -1, path: [] };
+
+/**
+ * Find the shortest path among those with the fewest turns between two cells
+ *
+ * Dijkstra over (cell, heading) states with a binary heap. Edge costs encode
+ * (turns, length, ring cells) in one number, so they take more than two
+ * values and a 0-1 BFS deque would not rank routes correctly.
+ * @param {string[][]} board - Board grid, paths cross empty (falsy) and HOLE cells
+ * @param {{row: number, col: number}} from - Start tile
+ * @param {{row: number, col: number}} to - End tile
+ * @param {{maxTurns?: number, allowOuterRing?: boolean, allowDiagonal?: boolean}} [options]
+ *   Connection rules, see DEFAULT_RULES
+ * @returns {{isValid: boolean, turns: number, path: {row: number, col: number}[]}}
+ *   path lists the cells strictly between from and to, in order; ring cells use -1 / rows / cols
+ */
+export const findMinTurnPath = (board, from, to, options = {}) => {
+  const { maxTurns, allowOuterRing, allowDiagonal } = { ...DEFAULT_RULES, ...options };
+  const rows = board.length;
+  const cols = rows > 0 ? board[0].length : 0;
+
+  if (from.row === to.row && from.col === to.col) {
+    return NO_PATH;
+  }
+
+  // 斜向相邻直接相连，不经过任何格子
+  if (allowDiagonal && Math.abs(from.row - to.row) === 1 && Math.abs(from.col - to.col) === 1) {
+    return { isValid: true, turns: 0, path: [] };
+  }
+
+  // 外圈一格的填充棋盘坐标
+  const width = cols + 2;
+  const height = rows + 2;
+  const cellCount = width * height;
+  const startCell = (from.row + 1) * width + (from.col + 1);
+  const targetCell = (to.row + 1) * width + (to.col + 1);
+
+  const isRingCell = (row, col) => row === 0 || row === height - 1 || col === 0 || col === width - 1;
+  const isPassable = (row, col) => {
+    if (row < 0 || row >= height || col < 0 || col >= width) return false;
+    if (isRingCell(row, col)) return allowOuterRing;
+    return isPassableCell(board[row - 1][col - 1]);
+  };
+
+  // 代价编码：turns * TURN_COST + length * STEP_COST + ringCells，三项互不溢出
+  const STEP_COST = cellCount + 1;
+  const TURN_COST = STEP_COST * STEP_COST;
+
+  // state = cell * 4 + heading
+  const cost = new Float64Array(cellCount * 4).fill(Infinity);
+  const parent = new Int32Array(cellCount * 4).fill(-1);
+  const settled = new Uint8Array(cellCount * 4);
+  const queue = createMinQueue();
+
+  for (let dir = 0; dir < 4; dir++) {
+    const state = startCell * 4 + dir;
+    cost[state] = 0;
+    queue.push(state, 0);
+  }
+
+  const relax = (fromState, toState, newCost) => {
+    if (newCost < cost[toState]) {
+      cost[toState] = newCost;
+      parent[toState] = fromState;
+      queue.push(toState, newCost);
+    }
+  };
+
+  while (queue.size() > 0) {
+    const state = queue.pop();
+    if (settled[state]) continue;
+    settled[state] = 1;
+
+    const cell = state >> 2;
+    const dir = state & 3;
+    const turns = Math.floor(cost[state] / TURN_COST);
+
+    if (cell === targetCell) {
+      return { isValid: true, turns, path: buildPath(state, parent, width, startCell, targetCell) };
+    }
+
+    // 沿当前方向前进一格
+    const row = Math.floor(cell / width) + DIRECTIONS[dir][0];
+    const col = (cell % width) + DIRECTIONS[dir][1];
+    const nextCell = row * width + col;
+    if (nextCell === targetCell || isPassable(row, col)) {
+      const ringCost = isRingCell(row, col) ? 1 : 0;
+      relax(state, nextCell * 4 + dir, cost[state] + STEP_COST + ringCost);
+    }
+
+    // 原地转向（起点的四个方向已是初始状态，无需转向）
+    if (cell !== startCell && turns < maxTurns) {
+      for (const turnDir of [(dir + 1) & 3, (dir + 3) & 3]) {
+        relax(state, cell * 4 + turnDir, cost[state] + TURN_COST);
+      }
+    }
+  }
+
+  return NO_PATH;
+};
+
+// 二叉堆优先队列；代价相同时按入队顺序出队，保证结果可复现
+const createMinQueue = () => {
+  const items = [];
+  let sequence = 0;
+
+  const less = (a, b) => a.priority < b.priority || (a.priority === b.priority && a.order < b.order);
+
+  return {
+    size: () => items.length,
+    push: (value, priority) => {
+      items.push({ value, priority, order: sequence++ });
+      let i = items.length - 1;
+      while (i > 0) {
+        const up = (i - 1) >> 1;
+        if (!less(items[i], items[up])) break;
+        [items[i], items[up]] = [items[up], items[i]];
+        i = up;
+      }
+    },
+    pop: () => {
+      const top = items[0];
+      const last = items.pop();
+      if (items.length > 0) {
+        items[0] = last;
+        let i = 0;
+        while (true) {
+          const left = i * 2 + 1;
+          const right = left + 1;
+          let smallest = i;
+          if (left < items.length && less(items[left], items[smallest])) smallest = left;
+          if (right < items.length && less(items[right], items[smallest])) smallest = right;
+          if (smallest === i) break;
+          [items[i], items[smallest]] = [items[smallest], items[i]];
+          i = smallest;
+        }
+      }
+      return top.value;
+    }
+  };
+};
+
+// 沿父指针回溯，得到起点与终点之间的格子序列
+const buildPath = (endState, parent, width, startCell, targetCell) => {
+  const cells = [];
+  let state = endState;
+  while (state !== -1) {
+    const cell = state >> 2;
+    if (cells[cells.length - 1] !== cell) {
+      cells.push(cell);
+    }
+    state = parent[state];
+  }
+  cells.reverse();
+
+  return cells
+    .filter(cell => cell !== startCell && cell !== targetCell)
+    .map(cell => ({ row: Math.floor(cell / width) - 1, col: (cell % width) - 1 }));
+};
+
+/**
+ * Find every cell a route from `from` can end on within the turn limit
+ * One search replaces a findMinTurnPath call per candidate target, which the
+ * generator relies on when it looks for a partner cell for a new tile.
+ * @param {string[][]} board - Board grid, empty cells are falsy
+ * @param {{row: number, col: number}} from - Start tile
+ * @param {object} [options] - Connection rules, see findMinTurnPath
+ * @returns {{row: number, col: number, turns: number}[]} On-board cells, empty or not, with their minimum turns
+ */
+export const findReachableCells = (board, from, options = {}) => {
+  const { maxTurns, allowOuterRing, allowDiagonal } = { ...DEFAULT_RULES, ...options };
+  const rows = board.length;
+  const cols = rows > 0 ? board[0].length : 0;
+  const width = cols + 2;
+  const height = rows + 2;
+  const startCell = (from.row + 1) * width + (from.col + 1);
+
+  const bestTurns = new Int8Array(width * height).fill(-1);
+  const visited = new Uint8Array(width * height * 4);
+  const reached = [];
+
+  const record = (row, col, turns) => {
+    const cell = row * width + col;
+    if (cell === startCell || bestTurns[cell] !== -1) return;
+    bestTurns[cell] = turns;
+    reached.push({ row: row - 1, col: col - 1, turns });
+  };
+
+  if (allowDiagonal) {
+    for (const [dr, dc] of [[-1, -1], [-1, 1], [1, -1], [1, 1]]) {
+      const row = from.row + dr;
+      const col = from.col + dc;
+      if (row >= 0 && row < rows && col >= 0 && col < cols) record(row + 1, col + 1, 0);
+    }
+  }
+
+  let frontier = [0, 1, 2, 3].map(dir => startCell * 4 + dir);
+  for (let turns = 0; turns <= maxTurns && frontier.length > 0; turns++) {
+    const nextFrontier = [];
+
+    for (const state of frontier) {
+      const dir = state & 3;
+      let cell = state >> 2;
+
+      // 沿方向射线前进，遇到棋盘内的瓦片即停
+      while (true) {
+        const row = Math.floor(cell / width) + DIRECTIONS[dir][0];
+        const col = (cell % width) + DIRECTIONS[dir][1];
+        if (row < 0 || row >= height || col < 0 || col >= width) break;
+
+        const isRing = row === 0 || row === height - 1 || col === 0 || col === width - 1;
+        if (isRing && !allowOuterRing) break;
+
+        cell = row * width + col;
+        if (!isRing) {
+          record(row, col, turns);
+          if (!isPassableCell(board[row - 1][col - 1])) break;
+        }
+        if (visited[cell * 4 + dir]) break;
+        visited[cell * 4 + dir] = 1;
+
+        if (turns < maxTurns) {
+          nextFrontier.push(cell * 4 + ((dir + 1) & 3), cell * 4 + ((dir + 3) & 3));
+        }
+      }
+    }
+    frontier = nextFrontier;
+  }
+
+  return reached;
+};
@@ -0,0 +1,89 @@
+/**
+ * Shapes - Board masks for non-rectangular levels
+ * Purpose: Describe which cells of the rows × cols grid can hold tiles
+ * Extension: Add an entry to SHAPES with an isBlocked test and the marker its blocked cells get
+ *
+ * A mask is a grid in board form: playable cells are '' and blocked cells hold
+ * HOLE (paths may cross it, like the open space around a diamond) or WALL (paths
+ * stop at it, like pillars inside the board). Boards keep the markers in place,
+ * so the router, gravity, generator and solver read the shape from the board itself.
+ */
+
+import { HOLE, WALL, isBlockedCell } from './tiles.js';
+
+// 心形：上方两个圆瓣，下方收成一个尖
+const insideHeart = (x, y) => {
+  const inLobe = Math.hypot(Math.abs(x) - 0.5, y + 0.45) <= 0.5;
+  const inPoint = y >= -0.45 && Math.abs(x) <= 0.85 * (1 - y);
+  return inLobe || inPoint;
+};
+
+/**
+ * Shape definitions; isBlocked receives the cell's center in normalized
+ * coordinates (x, y in -1..1, y grows downward) plus its row/col and the board size
+ */
+export const SHAPES = {
+  rect: {
+    blocked: HOLE,
+    isBlocked: () => false
+  },
+  // 四根挡住连线的柱子
+  holes: {
+    blocked: WALL,
+    isBlocked: ({ row, col, rows, cols }) => (
+      (row === 2 || row === rows - 3) && (col === 2 || col === cols - 3)
+    )
+  },
+  diamond: {
+    blocked: HOLE,
+    isBlocked: ({ x, y }) => Math.abs(x) + Math.abs(y) > 1.35
+  },
+  heart: {
+    blocked: HOLE,
+    isBlocked: ({ x, y }) => !insideHeart(x, y)
+  },
+  // 中间镂空的环形
+  ring: {
+    blocked: HOLE,
+    isBlocked: ({ x, y }) => Math.abs(x) < 0.45 && Math.abs(y) < 0.4
+  }
+};
+
+/**
+ * Build the mask of a shape
+ *
+ * Every tile needs a partner, so when a shape leaves an odd number of playable
+ * cells the last one in row-major order is blocked as well.
+ * @param {string} shape - Key of SHAPES, unknown shapes fall back to rect
+ * @param {number} rows - Board rows
+ * @param {number} cols - Board columns
+ * @returns {string[][]} '' for playable cells, HOLE / WALL for blocked cells
+ */
+export const createShapeMask = (shape, rows, cols) => {
+  const { blocked, isBlocked } = SHAPES[shape] || SHAPES.rect;
+  const mask = Array.from({ length: rows }, (_, row) => Array.from({ length: cols }, (_, col) => {
+    const x = ((col + 0.5) / cols) * 2 - 1;
+    const y = ((row + 0.5) / rows) * 2 - 1;
+    return isBlocked({ x, y, row, col, rows, cols }) ? blocked : '';
+  }));
+
+  if (countPlayableCells(mask) % 2 === 1) {
+    for (let row = rows - 1; row >= 0; row--) {
+      const col = mask[row].lastIndexOf('');
+      if (col !== -1) {
+        mask[row][col] = blocked;
+        break;
+      }
+    }
+  }
+  return mask;
+};
+
+/**
+ * Count the cells that can hold a tile
+ * @param {Array[]} grid - Mask or board
+ * @returns {number}
+ */
+export const countPlayableCells = (grid) => {
+  return grid.reduce((count, row) => count + row.filter(cell => !isBlockedCell(cell)).length, 0);
+};
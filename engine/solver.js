@@ -0,0 +1,196 @@
+/**
+ * Solver - Move application, solution checking and full-board search
+ * Purpose: Prove whether a position can be fully cleared under its gravity layout and rules
+ * Extension: Pure module shared by the generator, hints, auto-shuffle and level validation
+ *
+ * A move is { a: {row, col}, b: {row, col} } and refers to the board as it is
+ * right before the move, i.e. after gravity from all previous moves. Rotate
+ * gravity depends on how many matches were played, so positions carry that
+ * count (matchCount) next to the board.
+ */
+
+import { findPath } from './pathfinder.js';
+import { findReachableCells } from './router.js';
+import { applyGravityEffect, getGravityPasses, getLayoutName, getRotateDirection } from './gravity.js';
+import { kindOf } from './tiles.js';
+import { damageObstacles, isObstacle } from './obstacles.js';
+import { bindWildcard, canMatch, isLocked, isSelectable, isWildcard, unlockNeighbors } from './specials.js';
+import { belowOf, revealBelow } from './layers.js';
+
+const DEFAULT_MAX_NODES = 5000;
+
+/**
+ * Remove a matched pair (revealing the tiles beneath on stacked cells), damage the obstacles and
+ * break the locks next to it, bind a wildcard (see bindWildcard), then apply the layout's gravity
+ * @param {string[][]} board - Board grid
+ * @param {{a: {row: number, col: number}, b: {row: number, col: number}}} move - Pair to remove
+ * @param {string} layoutType - Gravity layout
+ * @param {number} [matchCount=1] - Matches played so far, including this one (Rotate)
+ * @returns {string[][]} New board
+ */
+export const applyMove = (board, move, layoutType, matchCount = 1) => {
+  const newBoard = board.map(row => [...row]);
+  newBoard[move.a.row][move.a.col] = revealBelow(board[move.a.row][move.a.col]);
+  newBoard[move.b.row][move.b.col] = revealBelow(board[move.b.row][move.b.col]);
+  const cells = [move.a, move.b];
+  const settled = bindWildcard(
+    unlockNeighbors(damageObstacles(newBoard, cells).board, cells),
+    board[move.a.row][move.a.col],
+    board[move.b.row][move.b.col]
+  );
+  return applyGravityEffect(settled, layoutType, matchCount);
+};
+
+/**
+ * Check that a move list clears the whole board under the given rules
+ * @param {string[][]} board - Starting board
+ * @param {object[]} moves - Moves in play order
+ * @param {string} layoutType - Gravity layout
+ * @param {object} [rules] - Connection rules, see findPath
+ * @param {number} [matchCount=0] - Matches already played on the starting board (Rotate)
+ * @returns {{isValid: boolean, failedAt: number}} failedAt is the index of the first bad move, -1 if valid
+ */
+export const verifySolution = (board, moves, layoutType, rules, matchCount = 0) => {
+  let current = board;
+
+  for (let i = 0; i < moves.length; i++) {
+    const { a, b } = moves[i];
+    if (!canMatch(current[a.row]?.[a.col], current[b.row]?.[b.col]) || !findPath(current, a, b, rules).isValid) {
+      return { isValid: false, failedAt: i };
+    }
+    current = applyMove(current, moves[i], layoutType, matchCount + i + 1);
+  }
+
+  const cleared = current.every(row => row.every(tile => !kindOf(tile)));
+  return { isValid: cleared, failedAt: cleared ? -1 : moves.length };
+};
+
+/**
+ * List every connectable pair on the board
+ * @param {string[][]} board - Board grid
+ * @param {object} [rules] - Connection rules, see findPath
+ * @returns {{a: object, b: object, kind: string, wildcard: boolean, turns: number}[]}
+ *   Each pair once, a before b in row-major order; wildcard is set when a wildcard is part of the pair
+ */
+export const listMoves = (board, rules) => {
+  const moves = [];
+  const cols = board.length > 0 ? board[0].length : 0;
+
+  board.forEach((row, r) => row.forEach((cell, c) => {
+    if (!isSelectable(cell)) return;
+    findReachableCells(board, { row: r, col: c }, rules).forEach(target => {
+      // 每对只记录一次：终点在起点之后
+      if (target.row * cols + target.col <= r * cols + c) return;
+      const other = board[target.row][target.col];
+      if (!canMatch(cell, other)) return;
+      const wildcard = isWildcard(cell) || isWildcard(other);
+      moves.push({ a: { row: r, col: c }, b: { row: target.row, col: target.col }, kind: kindOf(cell), wildcard, turns: target.turns });
+    });
+  }));
+
+  return moves;
+};
+
+// 棋盘状态的键，用于记录已证明无解的局面（只看种类、万能牌、锁链、下层瓦片和障碍物，不看瓦片 id）
+const cellKey = (tile) => {
+  if (isObstacle(tile)) return `#${tile.flags.obstacle}${tile.flags.hits}`;
+  const kind = kindOf(tile);
+  if (!kind) return '.';
+  const below = belowOf(tile) ? `>${cellKey(belowOf(tile))}` : '';
+  return `${kind}${isWildcard(tile) ? '*' : ''}${isLocked(tile) ? '!' : ''}${below}`;
+};
+const boardKey = (board) => board.map(row => row.map(cellKey).join(',')).join('|');
+
+// 各种类剩余瓦片数，含被覆盖的瓦片（万能牌单独计数，不计入它原本的种类）
+const countKinds = (board) => {
+  const counts = new Map();
+  let wildcards = 0;
+  board.forEach(row => row.forEach(cell => {
+    for (let tile = cell; kindOf(tile); tile = belowOf(tile)) {
+      const kind = kindOf(tile);
+      if (isWildcard(tile)) wildcards++;
+      else counts.set(kind, (counts.get(kind) || 0) + 1);
+    }
+  }));
+  return { counts, wildcards };
+};
+
+/**
+ * Search for a complete clearing sequence from the current position
+ *
+ * Depth-first search over board states with a memo of positions already shown
+ * to be dead ends. Moves are tried last-pair-of-a-kind first, then by fewest
+ * turns. With beamWidth only the best moves of each position are expanded; a
+ * position is reported lost only when nothing was cut by the beam or budget.
+ * @param {string[][]} board - Current board
+ * @param {object} [options]
+ * @param {string} [options.layoutType] - Gravity layout, defaults to Static
+ * @param {object} [options.rules] - Connection rules, see findPath
+ * @param {number} [options.maxNodes=5000] - Positions to expand before giving up
+ * @param {number} [options.beamWidth=Infinity] - Moves expanded per position
+ * @param {number} [options.matchCount=0] - Matches already played on the board (Rotate)
+ * @returns {{status: 'solved'|'lost'|'unknown', moves: object[], nodes: number}}
+ *   moves is a full clearing sequence in play order when solved, otherwise []
+ */
+export const solveBoard = (board, {
+  layoutType = 'Static',
+  rules,
+  maxNodes = DEFAULT_MAX_NODES,
+  beamWidth = Infinity,
+  matchCount = 0
+} = {}) => {
+  const rows = board.length;
+  const cols = rows > 0 ? board[0].length : 0;
+  // 静态布局中消除只会增加通路，某种类的最后一对可连时直接消除不会错（棋盘上没有万能牌时）
+  const isStatic = getGravityPasses(rows, cols, layoutType).length === 0;
+  // Rotate 的同一棋盘在不同的重力方向下是不同的局面
+  const isRotate = getLayoutName(layoutType) === 'Rotate';
+  const deadEnds = new Set();
+  let nodes = 0;
+  let complete = true;
+
+  const search = (current, played) => {
+    const { counts, wildcards } = countKinds(current);
+    if (counts.size === 0 && wildcards === 0) return [];
+
+    // 万能牌配普通瓦片后另一块万能牌会变成该种类（bindWildcard），奇偶不变；只有最后一块万能牌能补上一个奇数种类
+    const oddKinds = [...counts.values()].filter(count => count % 2 === 1).length;
+    if (oddKinds > wildcards % 2) return null;
+
+    const key = isRotate ? `${boardKey(current)}@${getRotateDirection(played + 1)}` : boardKey(current);
+    if (deadEnds.has(key)) return null;
+    if (nodes >= maxNodes) {
+      complete = false;
+      return null;
+    }
+    nodes++;
+
+    let moves = listMoves(current, rules)
+      .map(move => ({ ...move, isLastPair: !move.wildcard && counts.get(move.kind) === 2 }))
+      .sort((x, y) => (y.isLastPair - x.isLastPair) || (x.turns - y.turns));
+
+    // 有万能牌时它可能更需要这两块中的一块，不能直接消除
+    if (isStatic && wildcards === 0 && moves.length > 0 && moves[0].isLastPair) {
+      moves = moves.slice(0, 1);
+    } else if (moves.length > beamWidth) {
+      moves = moves.slice(0, beamWidth);
+      complete = false;
+    }
+
+    for (const move of moves) {
+      const rest = search(applyMove(current, move, layoutType, played + 1), played + 1);
+      if (rest) return [{ a: move.a, b: move.b }, ...rest];
+      if (nodes >= maxNodes) {
+        complete = false;
+        return null;
+      }
+    }
+
+    deadEnds.add(key);
+    return null;
+  };
+
+  const moves = search(board, matchCount);
+  if (moves) return { status: 'solved', moves, nodes };
+  return { status: complete ? 'lost' : 'unknown', moves: [], nodes };
+};
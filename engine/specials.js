@@ -0,0 +1,144 @@
+/**
+ * Specials - Tiles with extra behaviour on top of their kind
+ * Purpose: Wildcards, locked tiles, bonus-time tiles and countdown tiles, all stored in tile flags
+ * Extension: Add a type to SPECIAL_TYPES and handle it in canMatch / unlockNeighbors / the generator
+ *
+ * A special tile keeps the kind it was generated with, so every kind still
+ * comes in pairs; the behaviour lives in flags. Wildcards are the exception:
+ * they come in pairs of their own kind (WILDCARD_KIND), and when one is matched
+ * with a plain tile another wildcard takes that tile's kind (bindWildcard), so
+ * every kind keeps an even count after any match.
+ * - flags.special 'wildcard': matches a tile of any kind
+ * - flags.special 'bonus': adds seconds to the clock when matched (game only)
+ * - flags.special 'countdown' + flags.movesLeft: costs a heart when the count runs out (game only)
+ * - flags.locked: cannot be selected until a match next to it breaks the lock
+ */
+
+import { createTile, kindOf } from './tiles.js';
+
+// 万能牌：可与任意种类配对；锁链：相邻消除一次后才能选中；加时：消除时增加秒数；倒计时：若干步内未消除则扣一颗心
+export const SPECIAL_TYPES = ['wildcard', 'locked', 'bonus', 'countdown'];
+
+// 万能牌自成一个种类（与 GAME_CONSTANTS.WILDCARD_EMOJI 相同），不在 TILE_KINDS 中
+export const WILDCARD_KIND = '🃏';
+
+const NEIGHBORS = [[-1, 0], [1, 0], [0, -1], [0, 1]];
+
+const flagsOf = (cell) => (cell && typeof cell === 'object' && cell.flags) || {};
+
+// 特殊瓦片类型（普通瓦片返回 null；锁链不是 special，见 isLocked）
+export const specialOf = (cell) => flagsOf(cell).special || null;
+
+export const isWildcard = (cell) => specialOf(cell) === 'wildcard';
+
+export const isLocked = (cell) => Boolean(flagsOf(cell).locked);
+
+// 能否被选中：有种类（不是空格、形状外或障碍物）且没有被锁住
+export const isSelectable = (cell) => kindOf(cell) !== '' && !isLocked(cell);
+
+/**
+ * Whether two cells can be matched (connection path not checked)
+ * @param {*} cellA - Board cell
+ * @param {*} cellB - Board cell
+ * @returns {boolean}
+ */
+export const canMatch = (cellA, cellB) => {
+  if (!isSelectable(cellA) || !isSelectable(cellB)) return false;
+  return kindOf(cellA) === kindOf(cellB) || isWildcard(cellA) || isWildcard(cellB);
+};
+
+/**
+ * Turn a board cell into a special tile, keeping its kind (wildcards take WILDCARD_KIND)
+ * @param {*} cell - Kind string or tile object
+ * @param {string} type - One of SPECIAL_TYPES
+ * @param {object} [extraFlags] - e.g. { movesLeft } for countdown tiles
+ * @returns {{id: number, kind: string, flags: object}}
+ */
+export const makeSpecial = (cell, type, extraFlags = {}) => {
+  const base = typeof cell === 'object' ? cell : createTile(0, cell);
+  const flags = type === 'locked'
+    ? { ...base.flags, locked: true }
+    : { ...base.flags, special: type, ...extraFlags };
+  return { ...base, kind: type === 'wildcard' ? WILDCARD_KIND : base.kind, flags };
+};
+
+/**
+ * After a wildcard was matched with a plain tile, turn the first remaining wildcard
+ * (row-major, stacked tiles included) into a plain tile of that tile's kind
+ *
+ * That kind lost one tile to the wildcard and gains one back, and the wildcards
+ * lose two, so every count stays even. Matches of two wildcards or two plain
+ * tiles change nothing.
+ * @param {Array[]} board - Board right after the matched tiles were removed
+ * @param {*} cellA - First matched tile
+ * @param {*} cellB - Second matched tile
+ * @returns {Array[]} New board (the same board when nothing is bound)
+ */
+export const bindWildcard = (board, cellA, cellB) => {
+  if (isWildcard(cellA) === isWildcard(cellB)) return board;
+  const kind = kindOf(isWildcard(cellA) ? cellB : cellA);
+  let bound = false;
+
+  // 返回换掉第一块万能牌后的瓦片（叠放的瓦片在 flags.below 中，逐层查找）
+  const bind = (tile) => {
+    if (bound || !kindOf(tile)) return tile;
+    if (isWildcard(tile)) {
+      bound = true;
+      const flags = { ...tile.flags };
+      delete flags.special;
+      return { ...tile, kind, flags };
+    }
+    const below = flagsOf(tile).below;
+    const newBelow = below ? bind(below) : below;
+    return newBelow === below ? tile : { ...tile, flags: { ...tile.flags, below: newBelow } };
+  };
+
+  const newBoard = board.map(row => row.map(bind));
+  return bound ? newBoard : board;
+};
+
+/**
+ * Break the locks next to matched cells
+ * @param {Array[]} board - Board right after the matched tiles were removed
+ * @param {{row: number, col: number}[]} cells - Cells of the matched tiles
+ * @returns {Array[]} New board
+ */
+export const unlockNeighbors = (board, cells) => {
+  const newBoard = board.map(row => [...row]);
+
+  cells.forEach(({ row, col }) => {
+    NEIGHBORS.forEach(([dr, dc]) => {
+      const r = row + dr;
+      const c = col + dc;
+      const cell = newBoard[r]?.[c];
+      if (!isLocked(cell)) return;
+      const flags = { ...cell.flags };
+      delete flags.locked;
+      newBoard[r][c] = { ...cell, flags };
+    });
+  });
+
+  return newBoard;
+};
+
+/**
+ * Count down every countdown tile after a match; tiles that reach 0 become plain tiles
+ * @param {Array[]} board - Board after the match
+ * @returns {{board: Array[], expired: {row: number, col: number}[]}} New board and the cells whose count ran out
+ */
+export const tickCountdowns = (board) => {
+  const expired = [];
+  const newBoard = board.map((row, r) => row.map((cell, c) => {
+    if (specialOf(cell) !== 'countdown') return cell;
+    const movesLeft = cell.flags.movesLeft - 1;
+    if (movesLeft > 0) return { ...cell, flags: { ...cell.flags, movesLeft } };
+
+    expired.push({ row: r, col: c });
+    const flags = { ...cell.flags };
+    delete flags.special;
+    delete flags.movesLeft;
+    return { ...cell, flags };
+  }));
+
+  return { board: newBoard, expired };
+};
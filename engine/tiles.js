@@ -0,0 +1,61 @@
+/**
+ * Tiles - Tile objects and conversion to/from plain kind grids
+ * Purpose: Give every physical tile a stable identity ({id, kind, flags}) that survives gravity and shuffles
+ * Extension: Per-tile state (special tiles, layers, ...) goes into flags; engine code reads kinds through kindOf
+ *
+ * Engine functions accept either grid form: cells that are plain kind strings
+ * (generator output, solver scratch boards) or tile objects (gameState.board).
+ * Empty cells are falsy in both. Cells outside the board's shape hold the HOLE or
+ * WALL marker in both forms (see engine/shapes).
+ */
+
+// 形状之外的格子：不能放瓦片、不参与重力；HOLE 可被连线穿过，WALL 挡住连线
+export const HOLE = 'hole';
+export const WALL = 'wall';
+
+// 是否为形状之外的格子
+export const isBlockedCell = (cell) => cell === HOLE || cell === WALL;
+
+// 连线能否穿过该格子（空格子或 HOLE）
+export const isPassableCell = (cell) => !cell || cell === HOLE;
+
+/**
+ * Create a tile
+ * @param {number} id - Unique id within the level
+ * @param {string} kind - Tile kind (emoji)
+ * @param {object} [flags] - Per-tile state
+ * @returns {{id: number, kind: string, flags: object}}
+ */
+export const createTile = (id, kind, flags = {}) => ({ id, kind, flags });
+
+// 格子的种类：兼容字符串格子与瓦片对象，空格子和形状外的格子返回 ''
+export const kindOf = (cell) => {
+  if (!cell || isBlockedCell(cell)) return '';
+  return typeof cell === 'string' ? cell : cell.kind;
+};
+
+// 两个格子是否为同一种类（空格子不与任何格子相同）
+export const isSameKind = (cellA, cellB) => {
+  const kind = kindOf(cellA);
+  return kind !== '' && kind === kindOf(cellB);
+};
+
+/**
+ * Turn a kind grid into a tile grid, numbering tiles in row-major order
+ * @param {string[][]} kindGrid - Grid of kinds (obstacle, special and stacked tiles allowed), empty cells are falsy
+ * @param {number} [firstId=1] - Id of the first tile
+ * @returns {({id: number, kind: string, flags: object}|string|null)[][]} HOLE / WALL markers are kept
+ */
+export const toTileGrid = (kindGrid, firstId = 1) => {
+  let nextId = firstId;
+  // 已是瓦片对象的格子（如障碍物）保留 flags，重新编号；叠放在下层的瓦片（flags.below）同样转换并编号
+  const toTile = (kind) => {
+    if (!kind || typeof kind !== 'object') return createTile(nextId++, kind);
+    const tile = { ...kind, id: nextId++ };
+    return tile.flags.below ? { ...tile, flags: { ...tile.flags, below: toTile(tile.flags.below) } } : tile;
+  };
+  return kindGrid.map(row => row.map(kind => {
+    if (isBlockedCell(kind)) return kind;
+    return kind ? toTile(kind) : null;
+  }));
+};
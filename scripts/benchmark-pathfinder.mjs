@@ -0,0 +1,136 @@
+/**
+ * Pathfinder benchmark
+ * Purpose: Compare engine/router.js against the legacy brute-force search on 20/60/80-tile boards
+ * Usage: npm run bench:pathfinder [-- <boardsPerSize>]
+ *
+ * For each board every same-kind pair is queried (the same work isDeadlocked does).
+ * Both implementations must agree on validity, and the router must never return
+ * more turns, or a longer path at the same turn count, than the legacy search.
+ */
+
+import { findMinTurnPath } from '../engine/router.js';
+import { findPathLegacy } from '../engine/legacyPathfinder.js';
+
+const BOARD_SHAPES = [
+  { tiles: 20, rows: 4, cols: 5, kinds: 5 },
+  { tiles: 60, rows: 6, cols: 10, kinds: 12 },
+  { tiles: 80, rows: 8, cols: 10, kinds: 15 }
+];
+const CLEARED_RATIOS = [0, 0.3, 0.6];
+const BOARDS_PER_SIZE = Number(process.argv[2]) || 20;
+
+// mulberry32，保证每次运行的棋盘一致
+const createRandom = (seed) => {
+  let state = seed >>> 0;
+  return () => {
+    state = (state + 0x6d2b79f5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+};
+
+const buildBoard = ({ rows, cols, kinds }, clearedRatio, random) => {
+  const tiles = [];
+  for (let i = 0; i < (rows * cols) / 2; i++) {
+    const kind = String.fromCharCode(65 + (i % kinds));
+    tiles.push(kind, kind);
+  }
+  for (let i = tiles.length - 1; i > 0; i--) {
+    const j = Math.floor(random() * (i + 1));
+    [tiles[i], tiles[j]] = [tiles[j], tiles[i]];
+  }
+
+  const board = [];
+  for (let row = 0; row < rows; row++) {
+    board.push(tiles.slice(row * cols, (row + 1) * cols));
+  }
+
+  // 按对移除，模拟对局进行中的棋盘
+  const pairsToClear = Math.floor(((rows * cols) / 2) * clearedRatio);
+  for (let p = 0; p < pairsToClear; p++) {
+    const kind = String.fromCharCode(65 + (p % kinds));
+    let removed = 0;
+    for (let row = 0; row < rows && removed < 2; row++) {
+      for (let col = 0; col < cols && removed < 2; col++) {
+        if (board[row][col] === kind) {
+          board[row][col] = '';
+          removed++;
+        }
+      }
+    }
+  }
+  return board;
+};
+
+const collectQueries = (board) => {
+  const tiles = [];
+  board.forEach((row, r) => row.forEach((kind, c) => {
+    if (kind) tiles.push({ row: r, col: c, kind });
+  }));
+
+  const queries = [];
+  for (let i = 0; i < tiles.length; i++) {
+    for (let j = i + 1; j < tiles.length; j++) {
+      if (tiles[i].kind === tiles[j].kind) queries.push([tiles[i], tiles[j]]);
+    }
+  }
+  return queries;
+};
+
+const timeQueries = (find, board, queries) => {
+  const results = [];
+  const start = process.hrtime.bigint();
+  for (const [a, b] of queries) {
+    results.push(find(board, a, b));
+  }
+  const elapsedMs = Number(process.hrtime.bigint() - start) / 1e6;
+  return { results, elapsedMs };
+};
+
+const random = createRandom(20240601);
+let mismatches = 0;
+
+console.log('tiles  cleared  boards  queries   legacy(ms)   router(ms)   speedup');
+for (const shape of BOARD_SHAPES) {
+  for (const clearedRatio of CLEARED_RATIOS) {
+    let queryCount = 0;
+    let legacyMs = 0;
+    let routerMs = 0;
+
+    for (let n = 0; n < BOARDS_PER_SIZE; n++) {
+      const board = buildBoard(shape, clearedRatio, random);
+      const queries = collectQueries(board);
+      queryCount += queries.length;
+
+      const legacy = timeQueries(findPathLegacy, board, queries);
+      const routed = timeQueries(findMinTurnPath, board, queries);
+      legacyMs += legacy.elapsedMs;
+      routerMs += routed.elapsedMs;
+
+      queries.forEach(([a, b], i) => {
+        const expected = legacy.results[i];
+        const actual = routed.results[i];
+        // 旧实现不保证最少转弯或最短路径，只比较连通性和上限
+        const longer = actual.turns === expected.turns && actual.path.length > expected.path.length;
+        if (expected.isValid !== actual.isValid || (actual.isValid && (actual.turns > expected.turns || longer))) {
+          mismatches++;
+          console.error('Mismatch', JSON.stringify({ board, a, b, expected, actual }));
+        }
+      });
+    }
+
+    console.log(
+      `${String(shape.tiles).padStart(5)}  ${`${clearedRatio * 100}%`.padStart(7)}  ` +
+      `${String(BOARDS_PER_SIZE).padStart(6)}  ${String(queryCount).padStart(7)}  ` +
+      `${legacyMs.toFixed(1).padStart(11)}  ${routerMs.toFixed(1).padStart(11)}  ` +
+      `${(legacyMs / Math.max(routerMs, 0.001)).toFixed(1).padStart(7)}x`
+    );
+  }
+}
+
+if (mismatches > 0) {
+  console.error(`${mismatches} mismatching queries`);
+  process.exit(1);
+}
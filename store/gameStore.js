@@ -1,39 +1,152 @@
 import { create } from 'zustand';
 import StorageUtils from '../utils/StorageUtils';
+import { DEFAULT_RULES } from '../engine/pathfinder';
+import { createRng, randomSeed } from '../engine/random';
+import { generateBoard } from '../engine/generator';
+import { analyzeBoard } from '../engine/difficulty';
+import { solveBoard } from '../engine/solver';
+import { getLayoutName, getRotateDirection } from '../engine/gravity';
+import { createShapeMask, countPlayableCells } from '../engine/shapes';
+import { isBlockedCell, kindOf, toTileGrid } from '../engine/tiles';
+import { countAllTiles } from '../engine/layers';
+import { loadLevelPacks, parseBoard, parseMask, validateLevel } from '../engine/levelPack';
+import { createMoveLog } from '../engine/replay';
+import {
+  createClock,
+  extendClock,
+  getElapsedMs,
+  getRemainingMs,
+  isClockRunning,
+  pauseClock,
+  restoreClock,
+  resumeClock
+} from '../engine/clock';
+import mainLevelPack from '../levels/main.json';
 
 // Game constants and formulas
 export const GAME_CONSTANTS = {
-  LAYOUTS: ['Static', 'Left', 'Right', 'Up', 'Down', 'Split'],
+  LAYOUTS: ['Static', 'Left', 'Right', 'Up', 'Down', 'Split', 'VSplit', 'Converge', 'Quadrant', 'Rotate'],
+  // 前几关只循环前 6 种基础布局，从此关起循环全部布局
+  EXTENDED_LAYOUTS_FROM_LEVEL: 25,
+  BASIC_LAYOUT_COUNT: 6,
+  // 棋盘形状（engine/shapes）：从此关起按顺序循环，之前均为矩形
+  SHAPED_BOARDS_FROM_LEVEL: 13,
+  SHAPE_CYCLE: ['rect', 'holes', 'diamond', 'rect', 'heart', 'ring'],
+  // 障碍物（engine/obstacles）：从此关起出现，奇数关为岩石、偶数关为冰块，每 12 关多 2 个
+  OBSTACLES_FROM_LEVEL: 19,
+  MAX_OBSTACLES: 4,
+  OBSTACLE_EMOJI: {
+    rock: '🪨',
+    ice: '🧊'
+  },
+  // 叠放棋盘（engine/layers）：从此关起每 STACKED_LEVEL_INTERVAL 关一次，随机 STACKED_CELLS 个格子叠放两层瓦片
+  STACKED_BOARDS_FROM_LEVEL: 15,
+  STACKED_LEVEL_INTERVAL: 5,
+  STACKED_CELLS: 16,
+  // 特殊瓦片（engine/specials）：各自从 fromLevel 关起每关出现 count 块（万能牌为 count 对）
+  SPECIAL_TILES: [
+    { type: 'bonus', fromLevel: 4, count: 1 },
+    { type: 'wildcard', fromLevel: 8, count: 1 },
+    { type: 'locked', fromLevel: 14, count: 3 },
+    { type: 'countdown', fromLevel: 20, count: 1 }
+  ],
+  // 消除加时瓦片增加的秒数
+  BONUS_TILE_SECONDS: 5,
+  // 倒计时瓦片的初始步数，步数耗尽仍未消除则扣一颗心
+  COUNTDOWN_MOVES: 10,
+  WILDCARD_EMOJI: '🃏',
   LAYOUT_FACTORS: {
     Static: 1.00,
     Left: 1.05,
     Right: 1.05,
     Up: 1.10,
     Down: 1.10,
-    Split: 1.15
+    Split: 1.15,
+    VSplit: 1.15,
+    Converge: 1.15,
+    Quadrant: 1.20,
+    Rotate: 1.25
   },
+  // 局内求解（死局判定、洗牌）每次最多展开的局面数
+  SOLVER_NODE_BUDGET: 400,
+  // 关卡编辑器检查可解性时最多展开的局面数
+  EDITOR_SOLVER_NODES: 20000,
+  // 编辑器试玩使用的关卡号（不计入进度、不给竹子）
+  PLAYTEST_LEVEL: 0,
+  // 编辑器棋盘的行列范围
+  EDITOR_MIN_SIZE: 2,
+  EDITOR_MAX_ROWS: 12,
+  EDITOR_MAX_COLS: 10,
+  // 智能提示为每个候选步展开的局面数
+  HINT_NODES_PER_MOVE: 100,
+  // 消除连线动画时长（毫秒），动画结束后才移除瓦片
+  MATCH_LINE_DURATION: 250,
+  // 游戏时钟运行时刷新剩余秒数显示的间隔（毫秒）；计时本身基于单调时间戳，与刷新频率无关
+  CLOCK_TICK_MS: 200,
+  // 回放自动播放时每一步之间的停留（毫秒）
+  REPLAY_STEP_DELAY: 600,
+  // 重力移动后瓦片滑到新格子的时长（毫秒）
+  GRAVITY_SLIDE_DURATION: 180,
+  // 分阶段提示每一阶段消耗的提示数：亮出一块、亮出配对、画出路径（越往后越贵）
+  HINT_STAGE_COSTS: [0.2, 0.3, 0.5],
+  // 开局时为满足难度区间最多生成的棋盘数（只有逆向放置成功时才重新生成）
+  DIFFICULTY_MAX_ATTEMPTS: 4,
   TOOL_PRICES: {
     hint: 50,
     bomb: 80,
-    shuffle: 70
+    shuffle: 70,
+    undo: 60
   },
+  // 撤销道具最多能回退的消除步数
+  UNDO_HISTORY_LIMIT: 10,
   TILE_KINDS: [
     '🌸', '🍀', '🎯', '🏠', '🌞', '🎨', '🎵', '🍎', '🦋', '⭐',
     '🎪', '🌈', '🎭', '🎲', '🎸', '🐼', '🦊', '🐰', '🐸', '🦁'
   ]
 };
 
+// 关卡包（levels/*.json）：启动时校验，后面的包按关覆盖前面的包；未定义的关卡和字段使用下面的公式
+const LEVEL_PACKS = [mainLevelPack];
+// 已加载的关卡定义，GameUtils 定义之后才加载（校验要用到下面的公式）
+const levelDefinitions = new Map();
+
+// 关卡包中某关是否定义了某字段（layers 可以显式设为 null）
+const hasLevelField = (level, field) => levelDefinitions.get(level)?.[field] !== undefined;
+const getLevelField = (level, field) => levelDefinitions.get(level)?.[field];
+
+// 游戏时钟的时间戳：单调递增，不受系统时间调整影响
+const monotonicNow = () => performance.now();
+
+// 游戏时钟运行时刷新 timeRemaining 的定时器（同一时间最多一个）
+let clockTicker = null;
+const stopClockTicker = () => {
+  clearInterval(clockTicker);
+  clockTicker = null;
+};
+
 // Helper functions for game mechanics
 export const GameUtils = {
+  // Level pack definition of a level, null when the level is computed by formulas
+  getLevelDefinition: (level) => levelDefinitions.get(level) || null,
+
+  // Problems with a level definition written outside the packs (level editor), empty when valid
+  validateLevelDefinition: (definition) => validateLevel(definition, LEVEL_PACK_OPTIONS),
+
+  // Fixed board from the level pack (generator form), null for generated levels
+  getLevelBoard: (level) => {
+    const board = getLevelField(level, 'board');
+    return board ? parseBoard(board) : null;
+  },
+
   // Calculate time limit per level
   calculateTimeLimit: (level) => {
-    const size = GameUtils.getLevelSize(level);
-    const pairs = size / 2;
+    if (hasLevelField(level, 'timeLimit')) return getLevelField(level, 'timeLimit');
+    const pairs = GameUtils.getLevelTileCount(level) / 2;
     const layout = GameUtils.getLevelLayout(level);
     const kinds = GameUtils.getLevelKinds(level);
     
     const Tpp = Math.max(1.4, 3.0 - 0.10 * Math.floor((level - 1) / 2));
-    const layoutFactor = GAME_CONSTANTS.LAYOUT_FACTORS[layout];
+    const layoutFactor = GAME_CONSTANTS.LAYOUT_FACTORS[getLayoutName(layout)];
     const kindFactor = 1 + 0.025 * (kinds - 3);
     
     return Math.ceil(pairs * Tpp * layoutFactor * kindFactor);
@@ -41,11 +154,15 @@ export const GameUtils = {
 
   // Calculate hearts per level
   calculateHearts: (level) => {
+    if (hasLevelField(level, 'hearts')) return getLevelField(level, 'hearts');
     return Math.max(3, 10 - Math.floor((level - 1) / 6));
   },
 
   // Get level size (increases +4 every 12 levels, max 80)
   getLevelSize: (level) => {
+    if (hasLevelField(level, 'size')) return getLevelField(level, 'size');
+    const grid = getLevelField(level, 'board') || getLevelField(level, 'mask');
+    if (grid) return grid.length * grid[0].length;
     if (level <= 6) {
       return 20; // 1-6关：20个瓦片 (4×5)
     } else if (level <= 12) {
@@ -57,6 +174,11 @@ export const GameUtils = {
 
   // Get level kinds (increases +1 every 6 levels, max 20)
   getLevelKinds: (level) => {
+    if (hasLevelField(level, 'kinds')) return getLevelField(level, 'kinds');
+    const board = GameUtils.getLevelBoard(level);
+    if (board) {
+      return new Set(board.flat().map(kindOf).filter(Boolean)).size;
+    }
     if (level <= 6) {
       return 5; // 1-6关：5种牌
     } else if (level <= 12) {
@@ -68,12 +190,119 @@ export const GameUtils = {
     }
   },
 
-  // Get level layout (cycles every 6 levels)
+  // Get level layout (cycles every 6 levels, then through all layouts from EXTENDED_LAYOUTS_FROM_LEVEL)
+  // Level packs may give a layout object such as { type: 'Split', pivot: 4 }
   getLevelLayout: (level) => {
-    const layoutIndex = ((level - 1) % 6);
-    return GAME_CONSTANTS.LAYOUTS[layoutIndex];
+    if (hasLevelField(level, 'layout')) return getLevelField(level, 'layout');
+    const { LAYOUTS, EXTENDED_LAYOUTS_FROM_LEVEL, BASIC_LAYOUT_COUNT } = GAME_CONSTANTS;
+    if (level < EXTENDED_LAYOUTS_FROM_LEVEL) {
+      return LAYOUTS[(level - 1) % BASIC_LAYOUT_COUNT];
+    }
+    return LAYOUTS[(level - EXTENDED_LAYOUTS_FROM_LEVEL) % LAYOUTS.length];
+  },
+
+  // Get board shape (rect before SHAPED_BOARDS_FROM_LEVEL, then cycles through SHAPE_CYCLE)
+  getLevelShape: (level) => {
+    if (hasLevelField(level, 'shape')) return getLevelField(level, 'shape');
+    if (hasLevelField(level, 'mask') || hasLevelField(level, 'board')) return 'custom';
+    const { SHAPED_BOARDS_FROM_LEVEL, SHAPE_CYCLE } = GAME_CONSTANTS;
+    if (level < SHAPED_BOARDS_FROM_LEVEL) return 'rect';
+    return SHAPE_CYCLE[(level - SHAPED_BOARDS_FROM_LEVEL) % SHAPE_CYCLE.length];
+  },
+
+  // Board rows and columns (from the level pack's board or mask when it has one)
+  getLevelDimensions: (level) => {
+    const grid = getLevelField(level, 'board') || getLevelField(level, 'mask');
+    if (grid) return [grid.length, grid[0].length];
+    return GameUtils.getBoardDimensions(GameUtils.getLevelSize(level));
+  },
+
+  // Board mask of a level: '' for playable cells, HOLE / WALL outside the shape
+  getLevelMask: (level) => {
+    const board = GameUtils.getLevelBoard(level);
+    if (board) return board.map(row => row.map(cell => (isBlockedCell(cell) ? cell : '')));
+    if (hasLevelField(level, 'mask')) return parseMask(getLevelField(level, 'mask'));
+    const [rows, cols] = GameUtils.getLevelDimensions(level);
+    return createShapeMask(GameUtils.getLevelShape(level), rows, cols);
+  },
+
+  // Obstacles scattered on a level's board, e.g. [{ type: 'ice', count: 2 }] (even counts keep the tile count even)
+  getLevelObstacles: (level) => {
+    if (hasLevelField(level, 'board')) return [];
+    if (hasLevelField(level, 'obstacles')) return getLevelField(level, 'obstacles');
+    const { OBSTACLES_FROM_LEVEL, MAX_OBSTACLES } = GAME_CONSTANTS;
+    if (level < OBSTACLES_FROM_LEVEL) return [];
+    const count = Math.min(MAX_OBSTACLES, 2 + 2 * Math.floor((level - OBSTACLES_FROM_LEVEL) / 12));
+    return [{ type: level % 2 === 1 ? 'rock' : 'ice', count }];
+  },
+
+  // Special tiles added to a level's board, e.g. [{ type: 'countdown', count: 1, moves: 10 }]
+  getLevelSpecials: (level) => {
+    if (hasLevelField(level, 'board')) return [];
+    if (hasLevelField(level, 'specials')) return getLevelField(level, 'specials');
+    return GAME_CONSTANTS.SPECIAL_TILES
+      .filter(({ fromLevel }) => level >= fromLevel)
+      .map(({ type, count }) => (type === 'countdown' ? { type, count, moves: GAME_CONSTANTS.COUNTDOWN_MOVES } : { type, count }));
+  },
+
+  // Stacked board of a level ({ depth, cells } for engine/layers), null for a single layer
+  getLevelLayers: (level) => {
+    if (hasLevelField(level, 'board')) return null;
+    if (hasLevelField(level, 'layers')) return getLevelField(level, 'layers');
+    const { STACKED_BOARDS_FROM_LEVEL, STACKED_LEVEL_INTERVAL, STACKED_CELLS } = GAME_CONSTANTS;
+    if (level < STACKED_BOARDS_FROM_LEVEL || level % STACKED_LEVEL_INTERVAL !== 0) return null;
+    return { depth: 2, cells: STACKED_CELLS };
+  },
+
+  // Number of tiles a level starts with (playable cells of its shape minus obstacles, plus covered tiles)
+  getLevelTileCount: (level) => {
+    const board = GameUtils.getLevelBoard(level);
+    if (board) return countAllTiles(board);
+    const obstacleCount = GameUtils.getLevelObstacles(level).reduce((sum, { count }) => sum + count, 0);
+    const layers = GameUtils.getLevelLayers(level);
+    const coveredCount = layers ? layers.cells * (layers.depth - 1) : 0;
+    return countPlayableCells(GameUtils.getLevelMask(level)) - obstacleCount + coveredCount;
+  },
+
+  // Get connection rules (1-3关允许3次转弯；25关起每3关禁止绕外圈；关卡包可覆盖其中任意一项)
+  getLevelRules: (level) => {
+    return {
+      ...DEFAULT_RULES,
+      maxTurns: level <= 3 ? 3 : DEFAULT_RULES.maxTurns,
+      allowOuterRing: !(level >= 25 && level % 3 === 0),
+      ...getLevelField(level, 'rules')
+    };
+  },
+
+  // Seconds that must be left for 2 and 3 stars (by default a quarter and half of the time limit)
+  getStarThresholds: (level) => {
+    if (hasLevelField(level, 'stars')) return getLevelField(level, 'stars');
+    const timeLimit = GameUtils.calculateTimeLimit(level);
+    return [Math.ceil(timeLimit * 0.25), Math.ceil(timeLimit * 0.5)];
+  },
+
+  // Stars for finishing a level with timeRemaining seconds left (1-3)
+  calculateStars: (level, timeRemaining) => {
+    return 1 + GameUtils.getStarThresholds(level).filter(threshold => timeRemaining >= threshold).length;
+  },
+
+  // Short rule summary for level lists and tips, e.g. "≤2 turns • No edge"
+  describeRules: (rules) => {
+    const parts = [rules.maxTurns === 0 ? 'Straight only' : `≤${rules.maxTurns} turns`];
+    if (!rules.allowOuterRing) parts.push('No edge');
+    if (rules.allowDiagonal) parts.push('Diagonal');
+    return parts.join(' • ');
+  },
+
+  // Target difficulty score band (see engine/difficulty), rises slowly with level
+  getDifficultyBand: (level) => {
+    const min = Math.min(30, 8 + 2 * Math.floor((level - 1) / 3));
+    return { min, max: min + 25 };
   },
 
+  // Tool count for badges, e.g. 3 or 2.75 (hints are spent in fractions)
+  formatToolCount: (count) => String(Math.round(count * 100) / 100),
+
   // Get board dimensions for given size
   getBoardDimensions: (size) => {
     const factors = [];
@@ -86,9 +315,9 @@ export const GameUtils = {
     return factors[factors.length - 1];
   },
 
-  // Get gravity mode info for UI display
-  getGravityModeInfo: (level) => {
-    const layout = GameUtils.getLevelLayout(level);
+  // Get gravity mode info for UI display; with the matches played so far, Rotate also reports the next direction
+  getGravityModeInfo: (level, matchCount) => {
+    const layout = getLayoutName(GameUtils.getLevelLayout(level));
     const gravityModes = {
       'Static': {
         showTip: false,
@@ -119,12 +348,63 @@ export const GameUtils = {
         showTip: true,
         tipText: 'Bricks will move to both left and right after removal.',
         arrow: '↔'
+      },
+      'VSplit': {
+        showTip: true,
+        tipText: 'Bricks will move to both top and bottom after removal.',
+        arrow: '↕'
+      },
+      'Converge': {
+        showTip: true,
+        tipText: 'Bricks will move toward the center after removal.',
+        arrow: '→←'
+      },
+      'Quadrant': {
+        showTip: true,
+        tipText: 'Bricks will move toward the corner of their quarter after removal.',
+        arrow: '⤡'
+      },
+      'Rotate': {
+        showTip: true,
+        tipText: 'Gravity turns after every match: down, left, up, right, then down again.',
+        arrow: '↻'
       }
     };
-    return gravityModes[layout];
+    const info = gravityModes[layout];
+    if (layout === 'Rotate' && matchCount !== undefined) {
+      const direction = getRotateDirection(matchCount + 1);
+      return { ...info, nextArrow: gravityModes[direction].arrow };
+    }
+    return info;
   }
 };
 
+// 关卡包条目实际玩到的棋盘形状、障碍物和叠放（条目没写的字段按公式），用于校验瓦片数
+const resolvePackLevel = (definition) => {
+  const level = definition.level ?? GAME_CONSTANTS.PLAYTEST_LEVEL;
+  const previous = levelDefinitions.get(level);
+  levelDefinitions.set(level, definition);
+  try {
+    return {
+      mask: GameUtils.getLevelMask(level),
+      obstacles: GameUtils.getLevelObstacles(level),
+      layers: GameUtils.getLevelLayers(level)
+    };
+  } finally {
+    if (previous) levelDefinitions.set(level, previous);
+    else levelDefinitions.delete(level);
+  }
+};
+
+const LEVEL_PACK_OPTIONS = {
+  tileKinds: GAME_CONSTANTS.TILE_KINDS,
+  layouts: GAME_CONSTANTS.LAYOUTS,
+  resolveLevel: resolvePackLevel
+};
+const { levels: loadedLevels, errors: levelPackErrors } = loadLevelPacks(LEVEL_PACKS, LEVEL_PACK_OPTIONS);
+loadedLevels.forEach((definition, level) => levelDefinitions.set(level, definition));
+levelPackErrors.forEach(error => console.warn(`Invalid level pack entry: ${error}`));
+
 const useGameStore = create((set, get) => ({
   // User data
   userData: null,
@@ -139,32 +419,48 @@ const useGameStore = create((set, get) => ({
   inventory: {
     hint: 3,
     bomb: 1,
-    shuffle: 1
+    shuffle: 1,
+    undo: 1
   },
   
   // Settings
   settings: {
     musicOn: true,
     sfxOn: true,
-    hapticsOn: true
+    hapticsOn: true,
+    hintMode: 'smart' // 'smart': 推荐保持可解的一步；'easy': 第一对可连接的瓦片
   },
   
   // Current game state
   gameState: {
     isPlaying: false,
-    timeRemaining: 0,
+    timeRemaining: 0, // 剩余整秒数（显示用），由游戏时钟刷新
+    clock: createClock(0), // 游戏时钟（见 engine/clock），精确时间用 getElapsedSeconds / getRemainingSeconds
     heartsRemaining: 0,
     currentLevelBamboo: 0,
     selectedTiles: [],
     board: [],
-    isPaused: false
+    matchCount: 0, // 已完成的消除次数（Rotate 布局按它决定重力方向，见 engine/gravity）
+    isPaused: false,
+    seed: null, // 当前棋盘的随机种子，可分享复现
+    rngState: 0, // 种子随机数生成器的当前状态（洗牌、炸弹等继续使用）
+    difficulty: null, // 开局棋盘的难度评分（0-100，见 engine/difficulty）
+    moveHistory: [], // 最近几次消除前的局面，供撤销道具使用
+    moveLog: null // 本次尝试的操作记录，供回放使用（见 engine/replay）
   },
 
+  // 编辑器试玩前所在的关卡（未在试玩时为 null）
+  levelBeforePlayTest: null,
+
+  // 未完成的对局快照 { level, gameState }，应用重启后可继续（没有时为 null）
+  savedGame: null,
+
   // Initialize app data
   initializeApp: async () => {
     try {
       const userData = await StorageUtils.getUserData();
       const gameData = await StorageUtils.getData();
+      const savedGame = await StorageUtils.getSavedGame();
       
       set({
         userData,
@@ -172,8 +468,9 @@ const useGameStore = create((set, get) => ({
         maxLevel: gameData?.maxLevel || 1,
         bestTime: gameData?.bestTime || null,
         bambooBalance: gameData?.bambooBalance || 0,
-        inventory: gameData?.inventory || { hint: 3, bomb: 1, shuffle: 1 },
-        settings: gameData?.settings || { musicOn: true, sfxOn: true, hapticsOn: true }
+        inventory: { hint: 3, bomb: 1, shuffle: 1, undo: 1, ...gameData?.inventory },
+        settings: { musicOn: true, sfxOn: true, hapticsOn: true, hintMode: 'smart', ...gameData?.settings },
+        savedGame
       });
     } catch (error) {
       console.error('Failed to initialize app:', error);
@@ -191,64 +488,227 @@ const useGameStore = create((set, get) => ({
     }
   },
 
-  // Start a level
-  startLevel: (levelId) => {
+  // Start a level (pass options.seed to replay a specific board)
+  startLevel: (levelId, options = {}) => {
     const timeLimit = GameUtils.calculateTimeLimit(levelId);
     const hearts = GameUtils.calculateHearts(levelId);
-    const size = GameUtils.getLevelSize(levelId);
-    const kinds = GameUtils.getLevelKinds(levelId);
+    const seed = options.seed ?? randomSeed();
+    const rng = createRng(seed);
     
     // 生成实际的游戏棋盘
-    const board = get().generateGameBoard(size, kinds);
+    const { board, difficulty } = get().generateGameBoard(levelId, rng);
+
+    // 开始新的一局会放弃之前保存的对局（试玩不影响）
+    if (levelId !== GAME_CONSTANTS.PLAYTEST_LEVEL) get().clearSavedGame();
+    stopClockTicker();
     
     set({
       currentLevel: levelId,
       gameState: {
         isPlaying: true,
         timeRemaining: timeLimit,
+        clock: createClock(timeLimit),
         heartsRemaining: hearts,
         currentLevelBamboo: 0,
         selectedTiles: [],
-        board,
-        isPaused: false
+        board: toTileGrid(board),
+        matchCount: 0,
+        isPaused: false,
+        seed,
+        rngState: rng.getState(),
+        difficulty,
+        moveHistory: [],
+        moveLog: createMoveLog({ level: levelId, seed, layout: GameUtils.getLevelLayout(levelId), startedAt: Date.now() })
       }
     });
   },
 
-  // 生成游戏棋盘
-  generateGameBoard: (size, kinds) => {
-    const [rows, cols] = GameUtils.getBoardDimensions(size);
-    const pairs = size / 2;
-    const availableEmojis = GAME_CONSTANTS.TILE_KINDS.slice(0, kinds);
-    
-    // 创建瓦片对
-    const tiles = [];
-    for (let i = 0; i < pairs; i++) {
-      const emoji = availableEmojis[i % kinds];
-      tiles.push(emoji, emoji);
-    }
-    
-    // 洗牌算法
-    for (let i = tiles.length - 1; i > 0; i--) {
-      const j = Math.floor(Math.random() * (i + 1));
-      [tiles[i], tiles[j]] = [tiles[j], tiles[i]];
+  // Play-test a level from the editor as PLAYTEST_LEVEL; returns the validation problems (empty when started)
+  startPlayTest: (definition) => {
+    const errors = GameUtils.validateLevelDefinition(definition);
+    if (errors.length > 0) return errors;
+
+    levelDefinitions.set(GAME_CONSTANTS.PLAYTEST_LEVEL, { ...definition, level: GAME_CONSTANTS.PLAYTEST_LEVEL });
+    const { currentLevel, levelBeforePlayTest } = get();
+    set({ levelBeforePlayTest: levelBeforePlayTest ?? currentLevel });
+    get().startLevel(GAME_CONSTANTS.PLAYTEST_LEVEL);
+    return [];
+  },
+
+  // Leave the play-test and return to the level the player was on
+  endPlayTest: () => {
+    const { levelBeforePlayTest } = get();
+    if (levelBeforePlayTest === null) return;
+    levelDefinitions.delete(GAME_CONSTANTS.PLAYTEST_LEVEL);
+    set({
+      currentLevel: levelBeforePlayTest,
+      levelBeforePlayTest: null,
+      gameState: { ...get().gameState, isPlaying: false }
+    });
+  },
+
+  // Save the running game so it survives an app restart (play-tests are not saved)
+  saveGameSnapshot: () => {
+    const { gameState, currentLevel } = get();
+    if (!gameState.isPlaying || currentLevel === GAME_CONSTANTS.PLAYTEST_LEVEL) return;
+
+    // 时钟以暂停状态保存：单调时间戳在下次启动后没有意义
+    const clock = pauseClock(gameState.clock, monotonicNow());
+    const savedGame = { level: currentLevel, gameState: { ...gameState, selectedTiles: [], clock } };
+    set({ savedGame });
+    StorageUtils.saveGame(savedGame);
+  },
+
+  // Continue the saved game; returns false when there is none
+  resumeSavedGame: () => {
+    const { savedGame } = get();
+    if (!savedGame) return false;
+    // 旧版本保存的对局没有时钟：按剩余秒数补一个，撤销记录里也没有时钟读数，直接丢弃
+    const { clock, timeRemaining } = savedGame.gameState;
+    const legacy = clock ? {} : { clock: createClock(timeRemaining), moveHistory: [] };
+    set({
+      currentLevel: savedGame.level,
+      gameState: { moveHistory: [], moveLog: null, matchCount: 0, ...savedGame.gameState, ...legacy, isPlaying: true, isPaused: false }
+    });
+    return true;
+  },
+
+  // Drop the saved game (level finished, lost or restarted)
+  clearSavedGame: () => {
+    if (!get().savedGame) return;
+    set({ savedGame: null });
+    StorageUtils.clearSavedGame();
+  },
+
+  // Merge changes into the current game state (always reads the latest state)
+  updateGameState: (changes) => {
+    set({ gameState: { ...get().gameState, ...changes } });
+  },
+
+  // Start or continue the level clock; while it runs the store refreshes timeRemaining
+  startClock: () => {
+    const { clock, isPlaying } = get().gameState;
+    if (!isPlaying || isClockRunning(clock)) return;
+    get().updateGameState({ clock: resumeClock(clock, monotonicNow()) });
+    stopClockTicker();
+    clockTicker = setInterval(() => get().syncClock(), GAME_CONSTANTS.CLOCK_TICK_MS);
+  },
+
+  // Stop the level clock (modals, pause, app in the background, leaving the game screen)
+  stopClock: () => {
+    stopClockTicker();
+    get().updateGameState({ clock: pauseClock(get().gameState.clock, monotonicNow()) });
+    get().syncClock();
+  },
+
+  // Refresh timeRemaining (whole seconds) from the clock; the clock stops when the time is up
+  syncClock: () => {
+    const { clock, timeRemaining } = get().gameState;
+    const remainingMs = getRemainingMs(clock, monotonicNow());
+    const seconds = Math.ceil(remainingMs / 1000);
+    if (seconds !== timeRemaining) get().updateGameState({ timeRemaining: seconds });
+    if (remainingMs === 0 && isClockRunning(clock)) get().stopClock();
+  },
+
+  // Time used in the current level, in seconds with sub-second precision (pauses excluded)
+  getElapsedSeconds: () => getElapsedMs(get().gameState.clock, monotonicNow()) / 1000,
+
+  // Time left in the current level, in seconds with sub-second precision
+  getRemainingSeconds: () => getRemainingMs(get().gameState.clock, monotonicNow()) / 1000,
+
+  // Give the player extra seconds (bonus tiles, shuffle)
+  addTime: (seconds) => {
+    get().updateGameState({ clock: extendClock(get().gameState.clock, seconds) });
+    get().syncClock();
+  },
+
+  // Remember the position before a match so undoLastMove can restore it (keeps the last UNDO_HISTORY_LIMIT)
+  recordMove: (selection) => {
+    const { board, matchCount, clock, currentLevelBamboo, moveHistory } = get().gameState;
+    const entry = { board, matchCount, clock: pauseClock(clock, monotonicNow()), currentLevelBamboo, selection };
+    get().updateGameState({ moveHistory: [...moveHistory, entry].slice(-GAME_CONSTANTS.UNDO_HISTORY_LIMIT) });
+  },
+
+  // Restore the position before the last match; returns the selection to restore, null when there is nothing to undo
+  undoLastMove: () => {
+    const { moveHistory, clock } = get().gameState;
+    if (moveHistory.length === 0) return null;
+    const { selection, clock: reading, ...position } = moveHistory[moveHistory.length - 1];
+    get().updateGameState({
+      ...position,
+      clock: restoreClock(clock, reading, monotonicNow()),
+      moveHistory: moveHistory.slice(0, -1)
+    });
+    get().syncClock();
+    return selection;
+  },
+
+  // Append a move to the attempt's log, stamped with the game-clock time since the start and the current rng state
+  logMove: (move) => {
+    const { moveLog, rngState, clock } = get().gameState;
+    if (!moveLog) return;
+    const entry = { ...move, t: Math.round(getElapsedMs(clock, monotonicNow())), rng: rngState };
+    get().updateGameState({ moveLog: { ...moveLog, moves: [...moveLog.moves, entry] } });
+  },
+
+  // Run fn with the level's seeded generator and store the advanced state
+  withRandom: (fn) => {
+    const rng = createRng(get().gameState.rngState);
+    const result = fn(rng);
+    get().updateGameState({ rngState: rng.getState() });
+    return result;
+  },
+
+  // 生成游戏棋盘（逆向放置，保证在本关重力和连接规则下可以全部消除）
+  // 难度不在本关目标区间时重新生成，超过尝试次数则取最接近区间的一个；关卡包给出固定棋盘时直接使用
+  generateGameBoard: (levelId, rng) => {
+    const fixedBoard = GameUtils.getLevelBoard(levelId);
+    if (fixedBoard) {
+      const layoutType = GameUtils.getLevelLayout(levelId);
+      const rules = GameUtils.getLevelRules(levelId);
+      const { moves } = solveBoard(fixedBoard, { layoutType, rules });
+      const analysis = moves.length > 0 ? analyzeBoard(fixedBoard, { layoutType, rules, solution: moves }) : null;
+      return { board: fixedBoard, solution: moves, difficulty: analysis ? analysis.score : null };
     }
-    
-    // 填充到棋盘
-    const board = Array(rows).fill().map(() => Array(cols).fill(''));
-    let tileIndex = 0;
-    
-    for (let row = 0; row < rows; row++) {
-      for (let col = 0; col < cols; col++) {
-        if (tileIndex < tiles.length) {
-          board[row][col] = tiles[tileIndex];
-          tileIndex++;
-        }
+
+    const [rows, cols] = GameUtils.getLevelDimensions(levelId);
+    const mask = GameUtils.getLevelMask(levelId);
+    const obstacles = GameUtils.getLevelObstacles(levelId);
+    const specials = GameUtils.getLevelSpecials(levelId);
+    const layers = GameUtils.getLevelLayers(levelId);
+    const layoutType = GameUtils.getLevelLayout(levelId);
+    const rules = GameUtils.getLevelRules(levelId);
+    const band = GameUtils.getDifficultyBand(levelId);
+    let best = null;
+
+    for (let attempt = 0; attempt < GAME_CONSTANTS.DIFFICULTY_MAX_ATTEMPTS; attempt++) {
+      const generated = generateBoard({
+        rows,
+        cols,
+        kinds: GameUtils.getLevelKinds(levelId),
+        tileKinds: GAME_CONSTANTS.TILE_KINDS,
+        layoutType,
+        rules,
+        rng,
+        mask,
+        obstacles,
+        specials,
+        layers
+      });
+      const analysis = analyzeBoard(generated.board, { layoutType, rules, solution: generated.solution });
+      const difficulty = analysis ? analysis.score : null;
+      const distance = analysis ? Math.max(0, band.min - difficulty, difficulty - band.max) : Infinity;
+
+      if (!best || distance < best.distance) {
+        best = { ...generated, difficulty, distance };
       }
+      // 重新生成只走便宜的逆向放置：这次已退回正向试玩（无固定重力线、叠放或预算耗尽）时不再重来
+      if (distance === 0 || !generated.reversePlayed) break;
     }
-    
-    return board;
+
+    return { board: best.board, solution: best.solution, difficulty: best.difficulty };
   },
+
   // Complete level
   completeLevel: async (levelId, earnedBamboo, time, isFirstTime = true) => {
     const { maxLevel, bambooBalance, bestTime } = get();
@@ -270,6 +730,7 @@ const useGameStore = create((set, get) => ({
       currentLevel: newMaxLevel + 1,
       gameState: { ...get().gameState, isPlaying: false }
     });
+    get().clearSavedGame();
     
     return isFirstTime; // 返回是否获得了竹子
   },
@@ -301,13 +762,14 @@ const useGameStore = create((set, get) => ({
     return false;
   },
 
-  // Use tool
-  useTool: (toolType) => {
+  // Use tool (amount < 1 for staged hints, see HINT_STAGE_COSTS)
+  useTool: (toolType, amount = 1) => {
     const { inventory } = get();
-    if (inventory[toolType] > 0) {
+    if (inventory[toolType] >= amount) {
       const newInventory = {
         ...inventory,
-        [toolType]: inventory[toolType] - 1
+        // 保留两位小数，避免分数消耗累积浮点误差
+        [toolType]: Math.round((inventory[toolType] - amount) * 100) / 100
       };
       
       set({ inventory: newInventory });
@@ -0,0 +1,30 @@
+/**
+ * Board difficulty scores (engine/difficulty)
+ * The random playouts are seeded from the board, so scoring is repeatable.
+ */
+
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { analyzeBoard } from '../engine/difficulty.js';
+import { generateBoard } from '../engine/generator.js';
+import { createRng } from '../engine/random.js';
+
+const RULES = { maxTurns: 2 };
+
+test('the same board always gets the same score', () => {
+  const { board, solution } = generateBoard({
+    rows: 6,
+    cols: 8,
+    kinds: 8,
+    tileKinds: ['A', 'B', 'C', 'D', 'E', 'F', 'G', 'H'],
+    layoutType: 'Down',
+    rules: RULES,
+    rng: createRng(7)
+  });
+
+  const first = analyzeBoard(board, { layoutType: 'Down', rules: RULES, solution });
+  const second = analyzeBoard(board, { layoutType: 'Down', rules: RULES, solution });
+  assert.ok(first);
+  assert.deepEqual(second, first);
+  assert.ok(first.score >= 0 && first.score <= 100);
+});
@@ -0,0 +1,46 @@
+/**
+ * Generated boards come with a clearing sequence (engine/generator)
+ * Obstacle boards under gravity use reverse play with obstacles as line breaks.
+ */
+
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { generateBoard } from '../engine/generator.js';
+import { createRng } from '../engine/random.js';
+import { verifySolution } from '../engine/solver.js';
+
+const TILE_KINDS = ['A', 'B', 'C', 'D', 'E', 'F', 'G', 'H'];
+const RULES = { maxTurns: 2 };
+
+const generate = (layoutType, options = {}, seed = 1) => generateBoard({
+  rows: 6,
+  cols: 8,
+  kinds: 8,
+  tileKinds: TILE_KINDS,
+  layoutType,
+  rules: RULES,
+  rng: createRng(seed),
+  ...options
+});
+
+const assertClears = (layoutType, options) => {
+  for (let seed = 1; seed <= 4; seed++) {
+    const { board, solution } = generate(layoutType, options, seed);
+    assert.equal(verifySolution(board, solution, layoutType, RULES).isValid, true, `${JSON.stringify(layoutType)} seed ${seed}`);
+  }
+};
+
+test('gravity boards with ice and rocks clear with their sequence', () => {
+  const obstacles = [{ type: 'rock', count: 2 }, { type: 'ice', count: 2 }];
+  ['Down', 'Left', 'Split', 'Converge'].forEach(layoutType => assertClears(layoutType, { obstacles }));
+});
+
+test('Quadrant, Rotate and stacked boards clear with their sequence', () => {
+  assertClears('Quadrant', { obstacles: [{ type: 'ice', count: 2 }] });
+  assertClears('Rotate');
+  assertClears('Down', { layers: { cells: 6, depth: 2 } });
+});
+
+test('an exhausted search budget still yields a clearable board', () => {
+  assertClears('Split', { obstacles: [{ type: 'ice', count: 2 }], searchBudget: 0, maxRestarts: 1 });
+});
@@ -0,0 +1,75 @@
+/**
+ * Split gravity on odd and even board widths (engine/gravity)
+ * Boards are written as strings, one character per cell and '.' for an empty cell.
+ */
+
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { applyGravityEffect, getSplitLines } from '../engine/gravity.js';
+
+const parse = (rows) => rows.map(row => [...row].map(cell => (cell === '.' ? '' : cell)));
+const format = (board) => board.map(row => row.map(cell => cell || '.').join(''));
+const settle = (rows, layout) => format(applyGravityEffect(parse(rows), layout));
+
+// 每条线的列号（axis 'row'）或行号（axis 'col'），按重力方向排列
+const lineIndexes = (lines, axis = 'row') => lines.map(line => line.map(cell => (axis === 'row' ? cell.col : cell.row)));
+
+test('4x5: the middle column stays put and both halves pack outward', () => {
+  const lines = getSplitLines(4, 5);
+  assert.equal(lines.length, 8);
+  assert.deepEqual(lineIndexes(lines.slice(0, 2)), [[0, 1], [4, 3]]);
+  assert.ok(lines.every(line => line.every(({ col }) => col !== 2)));
+
+  assert.deepEqual(
+    settle(['.A.B.', 'AB.CD', '.ABC.', 'A...B'], 'Split'),
+    ['A...B', 'AB.CD', 'A.B.C', 'A...B']
+  );
+});
+
+test('6x10: the split falls between columns 4 and 5', () => {
+  const lines = getSplitLines(6, 10);
+  assert.deepEqual(lineIndexes(lines.slice(0, 2)), [[0, 1, 2, 3, 4], [9, 8, 7, 6, 5]]);
+
+  // 第 5 列（偶数宽度的右半边第一列）的瓦片向右，不再被并入左半边
+  const rows = ['....AB....', '.A...B..C.', 'ABCDE.....', '.....ABCDE', '..........', 'A........B'];
+  assert.deepEqual(settle(rows, 'Split'), [
+    'A........B',
+    'A.......BC',
+    'ABCDE.....',
+    '.....ABCDE',
+    '..........',
+    'A........B'
+  ]);
+});
+
+test('6x10: Split is mirror-symmetric', () => {
+  const rows = ['.A..B.C..D', 'AB....C...', '...A.B....', 'A.B.C.D.E.', '..........', '.........A'];
+  const mirror = (board) => board.map(row => [...row].reverse().join(''));
+  assert.deepEqual(settle(mirror(rows), 'Split'), mirror(settle(rows, 'Split')));
+});
+
+test('8x10: a custom even pivot splits 0-3 from 4-9', () => {
+  const lines = getSplitLines(8, 10, { pivot: 4 });
+  assert.deepEqual(lineIndexes(lines.slice(0, 2)), [[0, 1, 2, 3], [9, 8, 7, 6, 5, 4]]);
+
+  const rows = Array.from({ length: 8 }, () => '...AB.....');
+  assert.deepEqual(settle(rows, { type: 'Split', pivot: 4 }), Array(8).fill('A........B'));
+});
+
+test('8x10: a pivot on a cell center keeps that column in place', () => {
+  const lines = getSplitLines(8, 10, { pivot: 4.5 });
+  assert.deepEqual(lineIndexes(lines.slice(0, 2)), [[0, 1, 2, 3], [9, 8, 7, 6, 5]]);
+
+  const rows = Array.from({ length: 8 }, () => '..A.B.C...');
+  assert.deepEqual(settle(rows, { type: 'Split', pivot: 4.5 }), Array(8).fill('A...B....C'));
+});
+
+test('8x10: VSplit splits rows 0-3 from 4-7 and Converge packs toward the pivot', () => {
+  const lines = getSplitLines(8, 10, { axis: 'col' });
+  assert.deepEqual(lineIndexes(lines.slice(0, 2), 'col'), [[0, 1, 2, 3], [7, 6, 5, 4]]);
+
+  const column = ['.', '.', '.', 'A', 'B', '.', '.', '.'].map(cell => `${cell}.........`);
+  assert.deepEqual(settle(column, 'VSplit').map(row => row[0]).join(''), 'A......B');
+
+  assert.deepEqual(settle(['A........B', 'A.B....C.D'], 'Converge'), ['....AB....', '...ABCD...']);
+});
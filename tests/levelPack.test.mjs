@@ -0,0 +1,60 @@
+/**
+ * Level pack validation (engine/levelPack)
+ * levels/examples.json must stay valid; rules and fixed boards are checked field by field.
+ */
+
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { readFileSync } from 'node:fs';
+import { loadLevelPacks, validateLevel } from '../engine/levelPack.js';
+
+const readPack = (name) => JSON.parse(readFileSync(new URL(`../levels/${name}.json`, import.meta.url), 'utf8'));
+
+// 与 GAME_CONSTANTS 一致的子集（store 依赖 React Native，测试中不加载）
+const OPTIONS = {
+  tileKinds: ['🌸', '🍀', '🎯', '🏠', '🌞', '🎨', '🎵', '🍎', '🦋', '⭐'],
+  layouts: ['Static', 'Left', 'Right', 'Up', 'Down', 'Split', 'VSplit', 'Converge', 'Quadrant', 'Rotate']
+};
+
+test('the bundled pack overrides no level and the examples are valid', () => {
+  assert.equal(loadLevelPacks([readPack('main')], OPTIONS).levels.size, 0);
+
+  const { levels, errors } = loadLevelPacks([readPack('examples')], OPTIONS);
+  assert.deepEqual(errors, []);
+  assert.equal(levels.size, readPack('examples').levels.length);
+});
+
+test('rules.maxTurns must be 0-3', () => {
+  assert.deepEqual(validateLevel({ rules: { maxTurns: 0 } }, OPTIONS), []);
+  assert.deepEqual(validateLevel({ rules: { maxTurns: 3 } }, OPTIONS), []);
+  assert.equal(validateLevel({ rules: { maxTurns: 4 } }, OPTIONS).length, 1);
+  assert.equal(validateLevel({ rules: { maxTurns: -1 } }, OPTIONS).length, 1);
+});
+
+test('fixed board kinds must come from the tile kinds, stacked tiles included', () => {
+  assert.deepEqual(validateLevel({ board: [['🌸', 'rock', '🌸']] }, OPTIONS), []);
+  assert.match(validateLevel({ board: [['🌸', 'X', 'X', '🌸']] }, OPTIONS)[0], /unknown tile kind "X"/);
+
+  const stacked = { kind: '🌸', flags: { below: 'Y' } };
+  assert.match(validateLevel({ board: [[stacked, '🌸', 'Y', '']] }, OPTIONS)[0], /unknown tile kind "Y"/);
+});
+
+test('obstacles and layers must leave an even number of tiles that fit on the board', () => {
+  // 公式关卡：4x5 矩形、没有障碍物和叠放；条目写了的字段覆盖公式
+  const resolveLevel = (definition) => ({
+    mask: Array.from({ length: 4 }, () => Array(5).fill('')),
+    obstacles: definition.obstacles || [],
+    layers: definition.layers || null
+  });
+  const options = { ...OPTIONS, resolveLevel };
+
+  assert.deepEqual(validateLevel({ obstacles: [{ type: 'ice', count: 2 }] }, options), []);
+  assert.deepEqual(validateLevel({ layers: { depth: 2, cells: 4 } }, options), []);
+  assert.match(validateLevel({ obstacles: [{ type: 'ice', count: 1 }] }, options)[0], /odd number of tiles/);
+  assert.match(validateLevel({ layers: { depth: 2, cells: 3 } }, options)[0], /odd number of tiles/);
+  assert.match(validateLevel({ layers: { depth: 2, cells: 500 } }, options)[0], /layers.cells must be at most 20/);
+  assert.match(validateLevel({ obstacles: [{ type: 'rock', count: 20 }] }, options)[0], /no cells for tiles/);
+
+  // 没有 resolveLevel 时仍按条目自己的 mask 检查
+  assert.match(validateLevel({ mask: ['...'], obstacles: [{ type: 'ice', count: 2 }] }, OPTIONS)[0], /odd number of tiles/);
+});
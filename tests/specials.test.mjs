@@ -0,0 +1,72 @@
+/**
+ * Wildcards stay pairable after every match (engine/specials, engine/solver)
+ * Boards are written as strings, one character per cell: '.' empty, 'W' a wildcard.
+ */
+
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { WILDCARD_KIND, isWildcard, makeSpecial } from '../engine/specials.js';
+import { applyMove, listMoves, solveBoard, verifySolution } from '../engine/solver.js';
+import { generateBoard } from '../engine/generator.js';
+import { createRng } from '../engine/random.js';
+import { kindOf, toTileGrid } from '../engine/tiles.js';
+
+const RULES = { maxTurns: 2 };
+
+const parse = (rows) => toTileGrid(rows.map(row => [...row].map(cell => {
+  if (cell === '.') return '';
+  return cell === 'W' ? makeSpecial(WILDCARD_KIND, 'wildcard') : cell;
+})));
+
+const kindCounts = (board) => {
+  const counts = new Map();
+  board.flat().forEach(cell => {
+    if (kindOf(cell)) counts.set(kindOf(cell), (counts.get(kindOf(cell)) || 0) + 1);
+  });
+  return counts;
+};
+
+// 棋盘上每一步合法的万能牌消除之后，所有种类仍为偶数块且局面可解
+const assertWildcardMatchesStaySolvable = (board, layoutType) => {
+  const moves = listMoves(board, RULES).filter(move => move.wildcard);
+  assert.ok(moves.length > 0, 'no wildcard match to try');
+  moves.forEach(move => {
+    const next = applyMove(board, move, layoutType, 1);
+    assert.ok([...kindCounts(next).values()].every(count => count % 2 === 0), `odd kind after ${JSON.stringify(move)}`);
+    assert.equal(solveBoard(next, { layoutType, rules: RULES, matchCount: 1 }).status, 'solved', `after ${JSON.stringify(move)}`);
+  });
+};
+
+test('matching a wildcard with a tile turns the other wildcard into that kind', () => {
+  const next = applyMove(parse(['WBBW']), { a: { row: 0, col: 0 }, b: { row: 0, col: 1 } }, 'Static', 1);
+  assert.equal(isWildcard(next[0][3]), false);
+  assert.equal(kindOf(next[0][3]), 'B');
+  assert.equal(solveBoard(next, { rules: RULES }).status, 'solved');
+});
+
+test('every legal wildcard match leaves a solvable board', () => {
+  assertWildcardMatchesStaySolvable(parse(['WABA', 'BCCW']), 'Static');
+  assertWildcardMatchesStaySolvable(parse(['AWB', 'CBA', 'CWD', 'EDE']), 'Down');
+  assertWildcardMatchesStaySolvable(parse(['.WA.', 'BACB', 'CDWD']), 'Down');
+});
+
+test('generated wildcards come as a pair on top of even kinds', () => {
+  for (let seed = 1; seed <= 4; seed++) {
+    const layoutType = seed % 2 ? 'Static' : 'Down';
+    const { board, solution } = generateBoard({
+      rows: 4,
+      cols: 6,
+      kinds: 4,
+      tileKinds: ['A', 'B', 'C', 'D'],
+      layoutType,
+      rules: RULES,
+      rng: createRng(seed),
+      specials: [{ type: 'wildcard', count: 1 }]
+    });
+    const grid = toTileGrid(board);
+    assert.equal(grid.flat().filter(isWildcard).length, 2);
+    assert.ok([...kindCounts(grid).values()].every(count => count % 2 === 0));
+    assert.equal(verifySolution(grid, solution, layoutType, RULES).isValid, true);
+    assertWildcardMatchesStaySolvable(grid, layoutType);
+  }
+});
@@ -66,6 +66,49 @@ class StorageUtils {
       return false;
     }
   }
+
+  /**
+   * Get the saved in-progress game
+   * @returns {Promise<{level: number, gameState: object}|null>} Snapshot, returns null if none is saved
+   */
+  static async getSavedGame() {
+    try {
+      const savedGame = await AsyncStorage.getItem(`${this.miniAppName}savedGame`);
+      return savedGame ? JSON.parse(savedGame) : null;
+    } catch (error) {
+      console.error('Failed to get saved game:', error);
+      return null;
+    }
+  }
+
+  /**
+   * Save the in-progress game (replaces the previous snapshot)
+   * @param {{level: number, gameState: object}} savedGame - Snapshot
+   * @returns {Promise<boolean>} Whether save was successful
+   */
+  static async saveGame(savedGame) {
+    try {
+      await AsyncStorage.setItem(`${this.miniAppName}savedGame`, JSON.stringify(savedGame));
+      return true;
+    } catch (error) {
+      console.error('Failed to save game:', error);
+      return false;
+    }
+  }
+
+  /**
+   * Delete the saved in-progress game
+   * @returns {Promise<boolean>} Whether removal was successful
+   */
+  static async clearSavedGame() {
+    try {
+      await AsyncStorage.removeItem(`${this.miniAppName}savedGame`);
+      return true;
+    } catch (error) {
+      console.error('Failed to clear saved game:', error);
+      return false;
+    }
+  }
 }
 
 export default StorageUtils;
\ No newline at end of file